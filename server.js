@@ -5,14 +5,50 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const { searchGoogle, searchWithEnhancedAntiBlocking, extractContent, detectPlatform, getAlternativeSuggestions } = require('./utils/scraper');
 const { LinkedInAuthenticatedScraper } = require('./utils/linkedin-auth');
+const { jobManager } = require('./utils/job-manager');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { workQueue } = require('./utils/work-queue');
+const { urlPolicy } = require('./utils/url-policy');
+const { QueueFullError, UrlPolicyError, RequestAbortedError, RateLimitError } = require('./utils/errors');
+const { apiKeyManager, requireApiKey, API_KEY_HEADER } = require('./utils/api-keys');
+const { searchProviders, parseProviderList } = require('./utils/search-providers');
+const { parseSearchFilters } = require('./utils/search-filters');
+const { SEARCH_VERTICALS } = require('./utils/search-results');
+const { resultCache, CACHE_MODES } = require('./utils/result-cache');
+const { googleAPI } = require('./utils/google-api');
+const { rateLimiter } = require('./utils/adaptive-rate-limiter');
+const { enhancedScraper } = require('./utils/enhanced-scraper');
+const { getProxyStats } = require('./utils/proxy-rotation');
+const { browserPool } = require('./utils/browser-pool');
+const { register: metricsRegister, httpMetrics, countExtraction } = require('./utils/metrics');
+const { createLogger, requestLogging, REQUEST_ID_HEADER } = require('./utils/logger');
+const { tracingMiddleware, shutdownTracing } = require('./utils/tracing');
+const { readinessChecker } = require('./utils/health');
+const { requestCancellation, REQUEST_TIMEOUT_HEADER } = require('./utils/cancellation');
 
 // Load environment variables
 require('dotenv').config();
 
+const logger = createLogger('server');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const BATCH_MAX_URLS = parseInt(process.env.EXTRACT_BATCH_MAX_URLS) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.EXTRACT_BATCH_CONCURRENCY) || 3;
+const SEARCH_MAX_LIMIT = 100; // The Custom Search API serves results up to position 100
+const SEARCH_MODES = ['fallback', 'meta'];
+const RATE_LIMIT_MODES = ['wait', 'fail']; // Whether a search held back by a rate limit waits for it or gets a 429
+const RATE_LIMIT_MODE = RATE_LIMIT_MODES.includes(process.env.RATE_LIMIT_MODE) ? process.env.RATE_LIMIT_MODE : 'wait';
+const RESEARCH_MAX_TOP = parseInt(process.env.RESEARCH_MAX_TOP) || 10;
+const RESEARCH_MIN_CONTENT_LENGTH = 50; // Shorter markdown is treated as an empty page
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true'; // Serve /metrics without an API key
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000; // Longest wait for in-flight work on SIGTERM
+
+// Set once shutdown starts; responses still being produced are tracked so shutdown can wait for them
+let shuttingDown = false;
+const inFlightResponses = new Set();
 
 // Swagger configuration
 const swaggerOptions = {
@@ -29,7 +65,7 @@ A powerful Express.js server that provides Google search and web content extract
 ### 🔍 Google Search API
 - Automated Google search with anti-bot detection evasion
 - Stealth browsing techniques to bypass Google's blocking mechanisms
-- Extracts search results with titles, links, snippets, and positions
+- Returns search results in one schema for every engine (title, url, normalizedUrl, snippet, rank, engine)
 - Configurable result limits and robust error handling
 
 ### 📄 Content Extraction
@@ -70,6 +106,16 @@ A powerful Express.js server that provides Google search and web content extract
         description: 'Local development server'
       }] : [])
     ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key issued by the server administrator. Required when API keys are configured.'
+        }
+      }
+    },
     tags: [
       {
         name: 'Search',
@@ -79,10 +125,22 @@ A powerful Express.js server that provides Google search and web content extract
         name: 'Content Extraction', 
         description: 'Web content extraction and conversion'
       },
+      {
+        name: 'Research',
+        description: 'Search and extract the top results in one call'
+      },
       {
         name: 'LinkedIn',
         description: 'LinkedIn authenticated scraping'
       },
+      {
+        name: 'Jobs',
+        description: 'Asynchronous search and extraction jobs'
+      },
+      {
+        name: 'Admin',
+        description: 'Operational endpoints (API keys with the admin scope)'
+      },
       {
         name: 'Health',
         description: 'API health and status'
@@ -133,10 +191,29 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept', API_KEY_HEADER, REQUEST_ID_HEADER, REQUEST_TIMEOUT_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER]
 };
 
 // Middleware
+app.use(requestLogging());
+app.use(tracingMiddleware());
+app.use(httpMetrics());
+app.use((req, res, next) => {
+  // Liveness keeps answering while in-flight work drains, so the orchestrator does not kill the process early
+  if (shuttingDown && req.path !== '/health/live') {
+    res.set('Connection', 'close');
+    return res.status(503).json({
+      error: 'Server is shutting down',
+      message: 'Retry the request in a few seconds'
+    });
+  }
+
+  inFlightResponses.add(res);
+  res.on('close', () => inFlightResponses.delete(res));
+  next();
+});
+app.use(requestCancellation());
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -145,6 +222,579 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+/**
+ * Send a 429 response for work rejected by the global queue
+ * @param {Object} res - Express response
+ * @param {QueueFullError} error - Queue rejection
+ */
+function sendQueueFull(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.set('X-Queue-Depth', String(workQueue.getStats().queued));
+  res.status(429).json({
+    error: 'Too many requests',
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * Send a 429 response for a search held back by a rate limit in fail mode
+ * @param {Object} res - Express response
+ * @param {RateLimitError} error - Rate limit rejection
+ */
+function sendRateLimited(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * Answer a request whose work was cancelled: 504 when its time limit passed.
+ * A disconnected client gets nothing; a streamed response is ended where it stopped.
+ * @param {Object} res - Express response
+ * @param {RequestAbortedError} error - Cancellation reason
+ */
+function sendAborted(res, error) {
+  if (res.headersSent || error.kind === 'client_disconnected') {
+    res.end();
+    return;
+  }
+  res.status(504).json({
+    error: 'Request timed out',
+    message: error.message
+  });
+}
+
+/**
+ * Send a 403 response for a URL rejected by the SSRF protection policy
+ * @param {Object} res - Express response
+ * @param {UrlPolicyError} error - Policy rejection
+ */
+function sendUrlNotAllowed(res, error) {
+  res.status(403).json({
+    error: 'URL not allowed',
+    message: error.message
+  });
+}
+
+/**
+ * Jobs created with an API key are only visible to that key (or an admin key)
+ * @param {Object} req - Express request
+ * @param {Object} job - Public job representation
+ * @returns {boolean} True if the caller may read or cancel the job
+ */
+function canAccessJob(req, job) {
+  if (!job.owner || !req.apiKey) return true;
+  return job.owner === req.apiKey.name || apiKeyManager.hasScope(req.apiKey, 'admin');
+}
+
+/**
+ * API key quota units of a batch extraction: one per URL. Malformed batches, rejected by the handler, cost one.
+ * @param {Object} req - Express request
+ * @returns {number} Units
+ */
+function batchUnits(req) {
+  const { urls } = req.body;
+  return Array.isArray(urls) && urls.length > 0 && urls.length <= BATCH_MAX_URLS ? urls.length : 1;
+}
+
+/**
+ * Number of results /research extracts
+ * @param {Object} query - req.query
+ * @returns {number} Parsed "top" (NaN when not a number)
+ */
+function parseResearchTop(query) {
+  return query.top !== undefined ? parseInt(query.top) : 5;
+}
+
+/**
+ * API key quota units of a research request: the search plus one per result it extracts.
+ * An invalid "top", rejected by the handler, costs one.
+ * @param {Object} req - Express request
+ * @returns {number} Units
+ */
+function researchUnits(req) {
+  const top = parseResearchTop(req.query);
+  return Number.isInteger(top) && top >= 1 && top <= RESEARCH_MAX_TOP ? 1 + top : 1;
+}
+
+/**
+ * Validate the cache control parameter
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} { cache } on success (undefined when not given), { error } on validation failure
+ */
+function parseCacheMode(source) {
+  if (source.cache === undefined || source.cache === '') {
+    return { cache: undefined };
+  }
+  if (!CACHE_MODES.includes(source.cache)) {
+    return { error: `Parameter "cache" must be one of: ${CACHE_MODES.join(', ')}` };
+  }
+  return { cache: source.cache };
+}
+
+/**
+ * Validate search parameters from a query string or JSON body.
+ * The provider order comes from the request, then the API key, then SEARCH_PROVIDER_ORDER.
+ * @param {Object} source - req.query or req.body
+ * @param {Object} apiKey - Authenticated API key definition (req.apiKey), if any
+ * @returns {Object} { params } on success, { error } on validation failure
+ */
+function parseSearchParams(source, apiKey = null) {
+  const { q: query, vertical = 'web', mode = 'fallback', rateLimit = RATE_LIMIT_MODE } = source;
+
+  if (!query) {
+    return { error: 'Query parameter "q" is required' };
+  }
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return { error: 'Parameter "q" must be a non-empty string' };
+  }
+
+  if (!SEARCH_VERTICALS.includes(vertical)) {
+    return { error: `Parameter "vertical" must be one of: ${SEARCH_VERTICALS.join(', ')}` };
+  }
+
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Parameter "mode" must be one of: ${SEARCH_MODES.join(', ')}` };
+  }
+
+  if (!RATE_LIMIT_MODES.includes(rateLimit)) {
+    return { error: `Parameter "rateLimit" must be one of: ${RATE_LIMIT_MODES.join(', ')}` };
+  }
+
+  const limit = source.limit !== undefined ? parseInt(source.limit) : 10;
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return { error: `Parameter "limit" must be between 1 and ${SEARCH_MAX_LIMIT}` };
+  }
+
+  let offset = source.offset !== undefined ? parseInt(source.offset) : 0;
+  if (source.page !== undefined) {
+    const page = parseInt(source.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'Parameter "page" must be a positive integer' };
+    }
+    offset = (page - 1) * limit;
+  }
+  if (!Number.isInteger(offset) || offset < 0 || offset >= SEARCH_MAX_LIMIT) {
+    return { error: `Parameter "offset" must be between 0 and ${SEARCH_MAX_LIMIT - 1}` };
+  }
+
+  let providers = parseProviderList(source.providers);
+  if (providers.length === 0 && apiKey && apiKey.providers) {
+    providers = parseProviderList(apiKey.providers);
+  }
+
+  const unknown = searchProviders.findUnknown(providers);
+  if (unknown.length > 0) {
+    return { error: `Unknown search providers: ${unknown.join(', ')}. Available: ${searchProviders.getNames().join(', ')}` };
+  }
+
+  const { filters, error: filterError } = parseSearchFilters(source);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const { cache, error: cacheError } = parseCacheMode(source);
+  if (cacheError) {
+    return { error: cacheError };
+  }
+
+  return { params: { query, vertical, mode, limit, offset, filters, providers: providers.length > 0 ? providers : null, cache, rateLimit } };
+}
+
+/**
+ * Validate extraction parameters from a query string or JSON body
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} { params } on success, { error } on validation failure
+ */
+function parseExtractParams(source) {
+  const { url, full, images } = source;
+
+  if (!url) {
+    return { error: 'URL parameter is required' };
+  }
+
+  // Basic URL validation
+  try {
+    new URL(url);
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+
+  const { cache, error } = parseCacheMode(source);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    params: {
+      url,
+      fullPage: full === true || full === 'true' || full === '1',
+      includeImages: images !== false && images !== 'false' && images !== '0', // Default to true
+      cache
+    }
+  };
+}
+
+/**
+ * Build the route handler for a search vertical
+ * @param {string} vertical - web, images or news
+ * @returns {Function} Express handler
+ */
+function searchHandler(vertical) {
+  return async (req, res) => {
+    try {
+      const { params, error } = parseSearchParams({ ...req.query, vertical }, req.apiKey);
+      
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      logger.info(`Searching ${vertical} for: ${params.query}`);
+      
+      // Use enhanced anti-blocking search with all protection measures
+      logger.info('Using Enhanced Anti-Blocking Search with full protection');
+      const searchResult = await runSearch(params, { signal: req.signal });
+      
+      // Return the complete enhanced search result
+      res.set('X-Cache', searchResult.cache.status.toUpperCase());
+      res.json(searchResult);
+    } catch (error) {
+      if (error instanceof QueueFullError) {
+        return sendQueueFull(res, error);
+      }
+
+      if (error instanceof RateLimitError) {
+        return sendRateLimited(res, error);
+      }
+
+      if (error instanceof RequestAbortedError) {
+        return sendAborted(res, error);
+      }
+
+      logger.error('Search error', error);
+      res.status(500).json({
+        error: 'Failed to perform search',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Run the enhanced search pipeline through the global work queue.
+ * Responses with results are cached; a cache hit does not take a queue slot.
+ * @param {Object} params - Parsed search parameters
+ * @param {Object} queueOptions - Options for workQueue.run; its signal also cancels the running search
+ * @param {Function} onRateLimitWait - ({ limiter, waitMs }) => void, called before the search waits for a rate limit
+ * @returns {Object} Search result payload with its cache status
+ * @throws {RateLimitError} When rateLimit is 'fail' and a rate limit kept every provider from serving the search
+ */
+async function runSearch(params, queueOptions = {}, onRateLimitWait = null) {
+  const { query, vertical, mode, limit, offset, filters, providers, cache, rateLimit } = params;
+  const { signal } = queueOptions;
+  const { value, cache: cacheInfo } = await resultCache.wrap(
+    resultCache.searchKey(params),
+    () => workQueue.run(
+      () => searchWithEnhancedAntiBlocking(query, limit, { providers, vertical, mode, offset, filters, signal, rateLimit, onRateLimitWait }),
+      { label: `search "${query}"`, ...queueOptions }
+    ),
+    { kind: 'search', mode: cache, shouldStore: result => !!result.provider && result.results.length > 0 }
+  );
+
+  return { ...value, cache: cacheInfo };
+}
+
+/**
+ * Extract a URL through the global work queue and build the HTTP response for it
+ * @param {Object} params - Parsed extraction parameters
+ * @param {Object} queueOptions - Options for workQueue.run; its signal also cancels the running extraction
+ * @returns {Object} { statusCode, body }
+ */
+async function runExtraction(params, queueOptions = {}) {
+  const { url, fullPage, includeImages } = params;
+  const { signal } = queueOptions;
+  const extractionType = fullPage ? 'full page' : 'main content';
+  const imageHandling = includeImages ? 'with images' : 'without images';
+
+  // Reject private and non-http(s) targets before they take a queue slot or hit the cache
+  await urlPolicy.assertAllowed(url);
+
+  const { value: content, cache } = await resultCache.wrap(
+    resultCache.extractKey(params),
+    () => {
+      logger.info(`Extracting ${extractionType} ${imageHandling} from: ${url}`);
+      return workQueue.run(
+        () => countExtraction(extractContent(url, fullPage, includeImages, { signal })),
+        { label: `extract ${url}`, ...queueOptions }
+      );
+    },
+    {
+      kind: 'extract',
+      mode: params.cache,
+      shouldStore: result => !result.loginRequired && !result.isEmpty,
+      validators: result => ({ url, ...result.validators })
+    }
+  );
+  const extractedAt = cache.storedAt || new Date().toISOString();
+  
+  // Check if this is a platform-specific response (like LinkedIn auth required)
+  if (content.platform && (content.loginRequired || content.isEmpty)) {
+    const suggestions = getAlternativeSuggestions(url, content.platform);
+    
+    let message = `Content extraction blocked: ${content.platform} requires authentication`;
+    
+    if (content.isEmpty) {
+      message = `Content extraction failed: ${content.platform} returned empty content (likely blocked)`;
+    }
+    
+    return {
+      statusCode: 422, // Unprocessable Entity
+      body: {
+        url,
+        content,
+        extractedAt,
+        suggestions,
+        message,
+        cache
+      }
+    };
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      url,
+      content,
+      extractedAt,
+      cache
+    }
+  };
+}
+
+/**
+ * Extract a single entry of a batch request, capturing errors per URL
+ * @param {string|Object} item - URL string or { url, full, images }
+ * @param {number} index - Position in the batch
+ * @param {Object} defaults - Batch-level { full, images, cache } defaults
+ * @param {AbortSignal} signal - Cancellation of the batch request
+ * @returns {Object} Per-URL result
+ * @throws {RequestAbortedError} When the request is cancelled, which ends the whole batch
+ */
+async function runBatchItem(item, index, defaults, signal = null) {
+  const source = typeof item === 'string' ? { url: item } : (item || {});
+  const { params, error } = parseExtractParams({ ...defaults, ...source });
+
+  if (error) {
+    return { index, url: source.url || null, status: 'invalid', statusCode: 400, error };
+  }
+
+  try {
+    const { statusCode, body } = await runExtraction(params, { signal });
+    return { index, status: statusCode === 200 ? 'success' : 'blocked', statusCode, ...body };
+  } catch (error) {
+    if (error instanceof RequestAbortedError) {
+      throw error;
+    }
+
+    if (error instanceof UrlPolicyError) {
+      return {
+        index,
+        url: params.url,
+        status: 'forbidden',
+        statusCode: 403,
+        error: 'URL not allowed',
+        message: error.message
+      };
+    }
+
+    if (error instanceof QueueFullError) {
+      return {
+        index,
+        url: params.url,
+        status: 'rejected',
+        statusCode: 429,
+        error: 'Too many requests',
+        message: error.message,
+        retryAfter: error.retryAfter
+      };
+    }
+
+    logger.error(`Batch extraction error for ${params.url}`, error);
+    return {
+      index,
+      url: params.url,
+      status: 'error',
+      statusCode: 500,
+      error: 'Failed to extract content',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Extract one search result for /research and classify the outcome.
+ * Login-walled and empty pages are skipped with a reason instead of being returned as content.
+ * @param {Object} result - Normalized search result
+ * @param {number} index - Position in the top results
+ * @param {Object} defaults - { full, images, cache } extraction options
+ * @param {AbortSignal} signal - Cancellation of the research request
+ * @returns {Object} Research entry
+ */
+async function runResearchItem(result, index, defaults, signal = null) {
+  const { status, content, extractedAt, cache, message, retryAfter } = await runBatchItem(result.url, index, defaults, signal);
+  const entry = {
+    rank: result.rank,
+    title: result.title,
+    url: result.url,
+    normalizedUrl: result.normalizedUrl,
+    snippet: result.snippet,
+    engine: result.engine
+  };
+
+  if (status === 'blocked') {
+    return {
+      ...entry,
+      status: 'skipped',
+      reason: content.loginRequired ? 'login_required' : 'empty',
+      message
+    };
+  }
+
+  if (status === 'success' && content.markdown.length < RESEARCH_MIN_CONTENT_LENGTH) {
+    return { ...entry, status: 'skipped', reason: 'empty', message: 'Page has no extractable content' };
+  }
+
+  if (status !== 'success') {
+    const reason = { invalid: 'invalid_url', forbidden: 'url_not_allowed', rejected: 'queue_full' }[status] || 'error';
+    return { ...entry, status: 'failed', reason, message, ...(retryAfter ? { retryAfter } : {}) };
+  }
+
+  return {
+    ...entry,
+    status: 'extracted',
+    reason: null,
+    markdown: content.markdown,
+    metadata: {
+      title: content.title,
+      finalUrl: content.url,
+      extractionType: content.extractionType,
+      contentLength: content.markdown.length
+    },
+    extractedAt,
+    cache
+  };
+}
+
+// Background job handlers (jobs wait for a queue slot instead of being rejected)
+jobManager.registerHandler('search', async (params, job) => {
+  job.reportProgress({ stage: 'searching', message: `Searching for: ${params.query}` });
+  return runSearch(params, { rejectWhenFull: false, signal: job.signal }, ({ limiter, waitMs }) => {
+    const estimatedWait = Math.ceil(waitMs / 1000);
+    job.reportProgress({
+      stage: 'rate_limited',
+      message: `Waiting about ${estimatedWait}s for the ${limiter} rate limit`,
+      estimatedWait,
+      resumesAt: new Date(Date.now() + waitMs).toISOString()
+    });
+  });
+});
+
+jobManager.registerHandler('extract', async (params, job) => {
+  job.reportProgress({ stage: 'extracting', message: `Extracting content from: ${params.url}` });
+  const { statusCode, body } = await runExtraction(params, { rejectWhenFull: false, signal: job.signal });
+  return { statusCode, ...body };
+});
+
+/**
+ * @swagger
+ * components:
+ *   responses:
+ *     UrlNotAllowed:
+ *       description: Target URL rejected by the SSRF protection policy (scheme, deny list, or private address), or API key lacks the extract scope
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: URL not allowed
+ *               message:
+ *                 type: string
+ *                 example: "URL not allowed: Host \"169.254.169.254\" resolves to private or reserved address 169.254.169.254"
+ *     Unauthorized:
+ *       description: Missing or invalid API key
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Unauthorized
+ *               message:
+ *                 type: string
+ *                 example: API key required in the X-API-Key header
+ *     Forbidden:
+ *       description: API key lacks the required scope
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Forbidden
+ *               message:
+ *                 type: string
+ *                 example: API key "reporting" does not have the "extract" scope
+ *     TooManyRequests:
+ *       description: |
+ *         API key quota exceeded, too many browser-backed operations are already queued,
+ *         or (with rateLimit=fail) a search provider's rate limit does not allow a request yet
+ *       headers:
+ *         Retry-After:
+ *           schema:
+ *             type: integer
+ *           description: Seconds to wait before retrying
+ *         X-Queue-Depth:
+ *           schema:
+ *             type: integer
+ *           description: Number of operations waiting in the queue (queue rejections only)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Too many requests
+ *               message:
+ *                 type: string
+ *                 example: "Server is busy: 10 operations are already queued. Retry in 120s."
+ *               retryAfter:
+ *                 type: integer
+ *                 example: 120
+ *     RequestTimeout:
+ *       description: The request's time limit (REQUEST_TIMEOUT or the X-Request-Timeout header) passed; its work was cancelled
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Request timed out
+ *               message:
+ *                 type: string
+ *                 example: Request did not finish within 30000ms
+ */
+
 /**
  * @swagger
  * /:
@@ -178,17 +828,68 @@ app.use(express.urlencoded({ extended: true }));
  *                     extract-no-images:
  *                       type: string
  *                       example: /extract?url=https://example.com&images=false
+ *                     extract-batch:
+ *                       type: string
+ *                       example: POST /extract/batch (with urls in body)
  *                     linkedin-auth:
  *                       type: string
  *                       example: POST /linkedin/scrape (with credentials in body)
+ *                     jobs:
+ *                       type: string
+ *                       example: POST /jobs, GET /jobs/:id, DELETE /jobs/:id
+ *                 queue:
+ *                   type: object
+ *                   description: Global work queue depth and limits
+ *                   properties:
+ *                     active:
+ *                       type: integer
+ *                       example: 2
+ *                     queued:
+ *                       type: integer
+ *                       example: 3
+ *                     maxConcurrent:
+ *                       type: integer
+ *                       example: 2
+ *                     maxQueueSize:
+ *                       type: integer
+ *                       example: 10
+ *                     estimatedWait:
+ *                       type: integer
+ *                       description: Estimated wait for a new task in seconds
+ *                       example: 120
+ *                 searchProviders:
+ *                   type: object
+ *                   description: Default provider order and per-provider availability
+ *                   properties:
+ *                     order:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [google-api, google, duckduckgo]
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: google-api
+ *                           available:
+ *                             type: boolean
+ *                           reason:
+ *                             type: string
+ *                             nullable: true
+ *                             example: GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID are not set
+ *                           circuitBreaker:
+ *                             $ref: '#/components/schemas/CircuitBreaker'
  *                 documentation:
  *                   type: string
  *                   example: /api-docs
  */
 // Health check endpoint
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   try {
-    console.log('Health check requested');
+    logger.debug('Health check requested');
     res.json({
       status: 'healthy',
       message: 'Google Search & Content Extraction Server',
@@ -199,12 +900,21 @@ app.get('/', (req, res) => {
         extract: '/extract?url=https://example.com',
         'extract-full': '/extract?url=https://example.com&full=true',
         'extract-no-images': '/extract?url=https://example.com&images=false',
-        'linkedin-auth': 'POST /linkedin/scrape (with credentials in body)'
+        'extract-batch': 'POST /extract/batch (with urls in body)',
+        research: '/research?q=your+query&top=5',
+        'linkedin-auth': 'POST /linkedin/scrape (with credentials in body)',
+        jobs: 'POST /jobs, GET /jobs/:id, DELETE /jobs/:id',
+        stats: '/stats (admin)',
+        metrics: '/metrics (Prometheus)',
+        liveness: '/health/live',
+        readiness: '/health/ready'
       },
+      queue: workQueue.getStats(),
+      searchProviders: await searchProviders.health(),
       documentation: '/api-docs'
     });
   } catch (error) {
-    console.error('Health check error:', error);
+    logger.error('Health check error', error);
     res.status(500).json({
       status: 'error',
       message: error.message
@@ -219,81 +929,188 @@ app.get('/ping', (req, res) => {
 
 /**
  * @swagger
- * /search:
+ * /health/live:
  *   get:
- *     tags: [Search]
- *     summary: Perform Google Search
+ *     tags: [Health]
+ *     summary: Liveness probe
  *     description: |
- *       Executes an automated Google search with anti-bot detection evasion.
- *       Returns structured search results with titles, links, snippets, and positions.
- *     parameters:
- *       - in: query
- *         name: q
- *         required: true
- *         schema:
- *           type: string
- *         description: Search query string
- *         example: "web scraping tools"
- *       - in: query
- *         name: limit
- *         required: false
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *         description: Maximum number of results to return
- *         example: 10
+ *       Answers as long as the process is running and its event loop responds. Performs no checks,
+ *       and keeps answering during a graceful shutdown. No API key required.
  *     responses:
  *       200:
- *         description: Search completed successfully
+ *         description: Process is alive
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 query:
+ *                 status:
  *                   type: string
- *                   example: "web scraping tools"
- *                 results:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       title:
- *                         type: string
- *                         example: "Best Web Scraping Tools 2024"
- *                       link:
- *                         type: string
- *                         format: uri
- *                         example: "https://example.com/web-scraping-tools"
- *                       snippet:
- *                         type: string
- *                         example: "Comprehensive guide to web scraping tools..."
- *                       displayUrl:
- *                         type: string
- *                         example: "https://example.com › tools"
- *                       position:
- *                         type: integer
- *                         example: 1
- *                 count:
+ *                   example: alive
+ *                 uptime:
+ *                   type: number
+ *                   description: Seconds since the process started
+ *                   example: 3600.5
+ *                 pid:
  *                   type: integer
- *                   example: 10
- *       400:
- *         description: Missing or invalid query parameter
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
+ *                 memory:
+ *                   type: object
+ *                   properties:
+ *                     rssMb:
+ *                       type: integer
+ *                     heapUsedMb:
+ *                       type: integer
+ *                 timestamp:
  *                   type: string
- *                   example: Query parameter "q" is required
- *       500:
- *         description: Search operation failed
- *         content:
- *           application/json:
- *             schema:
+ *                   format: date-time
+ */
+app.get('/health/live', (req, res) => {
+  const memory = process.memoryUsage();
+  res.json({
+    status: 'alive',
+    uptime: process.uptime(),
+    pid: process.pid,
+    memory: {
+      rssMb: Math.round(memory.rss / 1024 / 1024),
+      heapUsedMb: Math.round(memory.heapUsed / 1024 / 1024)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     tags: [Health]
+ *     summary: Readiness probe
+ *     description: |
+ *       Checks that the server can do its work:
+ *       - **browser**: a pooled browser opens an internal data: URL and renders it (no network access)
+ *       - **config**: clients can authenticate, a search provider is available and browser timeouts are valid
+ *       - **storage**: the data directory (and disk cache directory) accepts a write, read and delete
+ *
+ *       Results are reused for HEALTH_CHECK_CACHE_MS. Answers 503 while shutting down. No API key required.
+ *     responses:
+ *       200:
+ *         description: Every check passed (or only warned)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessReport'
+ *       503:
+ *         description: At least one check failed, or the server is shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReadinessReport'
+ * components:
+ *   schemas:
+ *     ReadinessReport:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not_ready]
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ *         checks:
+ *           type: object
+ *           properties:
+ *             browser:
+ *               $ref: '#/components/schemas/HealthCheckResult'
+ *             config:
+ *               $ref: '#/components/schemas/HealthCheckResult'
+ *             storage:
+ *               $ref: '#/components/schemas/HealthCheckResult'
+ *     HealthCheckResult:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [pass, warn, fail]
+ *           description: warn means the service works but part of it is degraded
+ *         durationMs:
+ *           type: integer
+ *           example: 412
+ *         message:
+ *           type: string
+ *           example: Rendered probe page
+ *         details:
+ *           type: object
+ *           additionalProperties: true
+ */
+app.get('/health/ready', async (req, res) => {
+  const { ready, checkedAt, checks } = await readinessChecker.check();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt,
+    checks
+  });
+});
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     tags: [Search]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Perform Google Search
+ *     description: |
+ *       Executes an automated Google search with anti-bot detection evasion.
+ *       Returns results in the normalized SearchResult schema, whichever provider produced them.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - $ref: '#/components/parameters/SearchLimit'
+ *       - $ref: '#/components/parameters/SearchOffset'
+ *       - $ref: '#/components/parameters/SearchPage'
+ *       - $ref: '#/components/parameters/SearchProviders'
+ *       - $ref: '#/components/parameters/SearchMode'
+ *       - $ref: '#/components/parameters/RateLimitMode'
+ *       - $ref: '#/components/parameters/CacheMode'
+ *       - $ref: '#/components/parameters/SearchLang'
+ *       - $ref: '#/components/parameters/SearchCountry'
+ *       - $ref: '#/components/parameters/SearchSafe'
+ *       - $ref: '#/components/parameters/SearchDateRestrict'
+ *       - $ref: '#/components/parameters/SearchSite'
+ *       - $ref: '#/components/parameters/SearchExcludeSite'
+ *       - $ref: '#/components/parameters/SearchFiletype'
+ *     responses:
+ *       200:
+ *         description: Search completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SearchResponse'
+ *                 - type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SearchResult'
+ *                     serpFeatures:
+ *                       type: array
+ *                       description: Answer boxes, People also ask, knowledge panels and related searches from the scraped results page (empty for the Google API)
+ *                       items:
+ *                         $ref: '#/components/schemas/SerpFeature'
+ *       400:
+ *         $ref: '#/components/responses/BadSearchRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
+ *       500:
+ *         description: Search operation failed
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 error:
@@ -304,38 +1121,123 @@ app.get('/ping', (req, res) => {
  *                   example: Google is blocking requests. Please try again later.
  */
 // Google search endpoint
-app.get('/search', async (req, res) => {
-  try {
-    const { q: query, limit = 10 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({
-        error: 'Query parameter "q" is required'
-      });
-    }
+app.get('/search', requireApiKey('search'), searchHandler('web'));
 
-    console.log(`Searching for: ${query}`);
-    
-    // Use enhanced anti-blocking search with all protection measures
-    console.log('🚀 Using Enhanced Anti-Blocking Search with full protection');
-    const searchResult = await searchWithEnhancedAntiBlocking(query, parseInt(limit));
-    
-    // Return the complete enhanced search result
-    res.json(searchResult);
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({
-      error: 'Failed to perform search',
-      message: error.message
-    });
-  }
-});
+/**
+ * @swagger
+ * /search/images:
+ *   get:
+ *     tags: [Search]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Image search
+ *     description: |
+ *       Searches images with the same provider chain, pagination and filters as /search.
+ *       Providers without an image vertical (the Google scraper) are skipped.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - $ref: '#/components/parameters/SearchLimit'
+ *       - $ref: '#/components/parameters/SearchOffset'
+ *       - $ref: '#/components/parameters/SearchPage'
+ *       - $ref: '#/components/parameters/SearchProviders'
+ *       - $ref: '#/components/parameters/SearchMode'
+ *       - $ref: '#/components/parameters/RateLimitMode'
+ *       - $ref: '#/components/parameters/CacheMode'
+ *       - $ref: '#/components/parameters/SearchLang'
+ *       - $ref: '#/components/parameters/SearchCountry'
+ *       - $ref: '#/components/parameters/SearchSafe'
+ *       - $ref: '#/components/parameters/SearchDateRestrict'
+ *       - $ref: '#/components/parameters/SearchSite'
+ *       - $ref: '#/components/parameters/SearchExcludeSite'
+ *       - $ref: '#/components/parameters/SearchFiletype'
+ *     responses:
+ *       200:
+ *         description: Image search completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SearchResponse'
+ *                 - type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImageResult'
+ *       400:
+ *         $ref: '#/components/responses/BadSearchRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
+ */
+app.get('/search/images', requireApiKey('search'), searchHandler('images'));
+
+/**
+ * @swagger
+ * /search/news:
+ *   get:
+ *     tags: [Search]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: News search
+ *     description: |
+ *       Searches news articles with the same provider chain, pagination and filters as /search.
+ *       Only DuckDuckGo has a news vertical; the Custom Search API and the Google scraper are skipped.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - $ref: '#/components/parameters/SearchLimit'
+ *       - $ref: '#/components/parameters/SearchOffset'
+ *       - $ref: '#/components/parameters/SearchPage'
+ *       - $ref: '#/components/parameters/SearchProviders'
+ *       - $ref: '#/components/parameters/SearchMode'
+ *       - $ref: '#/components/parameters/RateLimitMode'
+ *       - $ref: '#/components/parameters/CacheMode'
+ *       - $ref: '#/components/parameters/SearchLang'
+ *       - $ref: '#/components/parameters/SearchCountry'
+ *       - $ref: '#/components/parameters/SearchSafe'
+ *       - $ref: '#/components/parameters/SearchDateRestrict'
+ *       - $ref: '#/components/parameters/SearchSite'
+ *       - $ref: '#/components/parameters/SearchExcludeSite'
+ *       - $ref: '#/components/parameters/SearchFiletype'
+ *     responses:
+ *       200:
+ *         description: News search completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SearchResponse'
+ *                 - type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NewsResult'
+ *       400:
+ *         $ref: '#/components/responses/BadSearchRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
+ */
+app.get('/search/news', requireApiKey('search'), searchHandler('news'));
 
 /**
  * @swagger
  * /extract:
  *   get:
  *     tags: [Content Extraction]
+ *     security:
+ *       - ApiKeyAuth: []
  *     summary: Extract Content from URL
  *     description: |
  *       Extracts clean content from any web URL and converts it to readable Markdown format.
@@ -366,6 +1268,7 @@ app.get('/search', async (req, res) => {
  *           default: true
  *         description: Include images in the extracted content
  *         example: false
+ *       - $ref: '#/components/parameters/CacheMode'
  *     responses:
  *       200:
  *         description: Content extracted successfully
@@ -394,10 +1297,28 @@ app.get('/search', async (req, res) => {
  *                     platform:
  *                       type: string
  *                       example: "general"
+ *                     validators:
+ *                       type: object
+ *                       description: HTTP validators of the page, used to revalidate the cached extraction
+ *                       properties:
+ *                         etag:
+ *                           type: string
+ *                           nullable: true
+ *                         lastModified:
+ *                           type: string
+ *                           nullable: true
  *                 extractedAt:
  *                   type: string
  *                   format: date-time
+ *                   description: When the page was extracted (earlier than now for cached responses)
  *                   example: "2024-01-01T00:00:00.000Z"
+ *                 cache:
+ *                   $ref: '#/components/schemas/CacheInfo'
+ *         headers:
+ *           X-Cache:
+ *             description: Cache status (HIT, MISS, REVALIDATED, REFRESH or BYPASS)
+ *             schema:
+ *               type: string
  *       400:
  *         description: Missing or invalid URL parameter
  *         content:
@@ -408,6 +1329,8 @@ app.get('/search', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: URL parameter is required
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       422:
  *         description: Content extraction blocked (e.g., authentication required)
  *         content:
@@ -428,6 +1351,12 @@ app.get('/search', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Content extraction blocked: LinkedIn requires authentication"
+ *       403:
+ *         $ref: '#/components/responses/UrlNotAllowed'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
  *       500:
  *         description: Content extraction failed
  *         content:
@@ -442,61 +1371,31 @@ app.get('/search', async (req, res) => {
  *                   type: string
  */
 // Content extraction endpoint
-app.get('/extract', async (req, res) => {
+app.get('/extract', requireApiKey('extract'), async (req, res) => {
   try {
-    const { url, full, images } = req.query;
+    const { params, error } = parseExtractParams(req.query);
     
-    if (!url) {
-      return res.status(400).json({
-        error: 'URL parameter is required'
-      });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Basic URL validation
-    try {
-      new URL(url);
-    } catch {
-      return res.status(400).json({
-        error: 'Invalid URL format'
-      });
+    const { statusCode, body } = await runExtraction(params, { signal: req.signal });
+    res.set('X-Cache', body.cache.status.toUpperCase());
+    res.status(statusCode).json(body);
+  } catch (error) {
+    if (error instanceof UrlPolicyError) {
+      return sendUrlNotAllowed(res, error);
     }
 
-    // Parse parameters
-    const fullPage = full === 'true' || full === '1';
-    const includeImages = images !== 'false' && images !== '0'; // Default to true
-    const extractionType = fullPage ? 'full page' : 'main content';
-    const imageHandling = includeImages ? 'with images' : 'without images';
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
 
-    console.log(`Extracting ${extractionType} ${imageHandling} from: ${url}`);
-    const content = await extractContent(url, fullPage, includeImages);
-    
-    // Check if this is a platform-specific response (like LinkedIn auth required)
-    if (content.platform && (content.loginRequired || content.isEmpty)) {
-      const suggestions = getAlternativeSuggestions(url, content.platform);
-      
-      let statusCode = 422; // Unprocessable Entity
-      let message = `Content extraction blocked: ${content.platform} requires authentication`;
-      
-      if (content.isEmpty) {
-        message = `Content extraction failed: ${content.platform} returned empty content (likely blocked)`;
-      }
-      
-      res.status(statusCode).json({
-        url,
-        content,
-        extractedAt: new Date().toISOString(),
-        suggestions,
-        message
-      });
-    } else {
-      res.json({
-        url,
-        content,
-        extractedAt: new Date().toISOString()
-      });
+    if (error instanceof RequestAbortedError) {
+      return sendAborted(res, error);
     }
-  } catch (error) {
-    console.error('Extraction error:', error);
+
+    logger.error('Extraction error', error);
     res.status(500).json({
       error: 'Failed to extract content',
       message: error.message
@@ -506,13 +1405,18 @@ app.get('/extract', async (req, res) => {
 
 /**
  * @swagger
- * /linkedin/scrape:
+ * /extract/batch:
  *   post:
- *     tags: [LinkedIn]
- *     summary: LinkedIn Authenticated Scraping
+ *     tags: [Content Extraction]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Extract Content from Multiple URLs
  *     description: |
- *       Performs authenticated LinkedIn profile scraping with support for both automatic and manual login methods.
- *       **Warning:** The profile owner may see that you viewed their profile.
+ *       Extracts a list of URLs on a bounded concurrency pool and returns one result per URL.
+ *       Each entry reports its own status code, so login walls (422) and failures (500)
+ *       do not fail the whole batch. Set `stream: true` or send `Accept: application/x-ndjson`
+ *       to receive results as newline-delimited JSON as soon as each URL finishes,
+ *       followed by a final summary line.
  *     requestBody:
  *       required: true
  *       content:
@@ -520,65 +1424,100 @@ app.get('/extract', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - url
+ *               - urls
  *             properties:
- *               url:
- *                 type: string
- *                 format: uri
- *                 description: LinkedIn profile URL to scrape
- *                 example: "https://www.linkedin.com/in/example-profile"
- *               email:
- *                 type: string
- *                 format: email
- *                 description: LinkedIn email (required for automatic login)
- *                 example: "your-email@example.com"
- *               password:
+ *               urls:
+ *                 type: array
+ *                 description: URLs as strings or objects with per-URL options
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       format: uri
+ *                     - type: object
+ *                       required:
+ *                         - url
+ *                       properties:
+ *                         url:
+ *                           type: string
+ *                           format: uri
+ *                         full:
+ *                           type: boolean
+ *                         images:
+ *                           type: boolean
+ *                 example: ["https://example.com", {"url": "https://example.org", "full": true, "images": false}]
+ *               full:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Default for entries that do not set `full`
+ *               images:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Default for entries that do not set `images`
+ *               concurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of URLs extracted at the same time (capped by EXTRACT_BATCH_CONCURRENCY)
+ *                 example: 3
+ *               cache:
  *                 type: string
- *                 format: password
- *                 description: LinkedIn password (required for automatic login)
- *                 example: "your-password"
- *               manual:
+ *                 enum: [bypass, refresh]
+ *                 description: Result cache control for every entry
+ *               stream:
  *                 type: boolean
  *                 default: false
- *                 description: Use manual login mode (browser will open for user login)
- *                 example: true
+ *                 description: Stream results as NDJSON
  *     responses:
  *       200:
- *         description: LinkedIn profile scraped successfully
+ *         description: Batch processed (check each entry's status)
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   description: Extracted LinkedIn profile data
- *                 method:
- *                   type: string
- *                   enum: [manual-login, automatic-login]
- *                   example: "automatic-login"
- *                 warning:
- *                   type: string
- *                   example: "The profile owner may see that you viewed their profile"
- *                 extractedAt:
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 succeeded:
+ *                   type: integer
+ *                   example: 1
+ *                 failed:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       url:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [success, blocked, invalid, forbidden, rejected, error]
+ *                       statusCode:
+ *                         type: integer
+ *                         example: 200
+ *                       content:
+ *                         type: object
+ *                       extractedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       suggestions:
+ *                         type: object
+ *                       message:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *                 completedAt:
  *                   type: string
  *                   format: date-time
- *                   example: "2024-01-01T00:00:00.000Z"
- *       400:
- *         description: Missing required parameters
- *         content:
- *           application/json:
+ *           application/x-ndjson:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: LinkedIn URL is required
- *       500:
- *         description: LinkedIn scraping failed
+ *               type: string
+ *               description: One JSON result per line, followed by a line with type "summary"
+ *       400:
+ *         description: Missing or invalid URL list
  *         content:
  *           application/json:
  *             schema:
@@ -586,110 +1525,1640 @@ app.get('/extract', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: LinkedIn scraping failed
- *                 message:
- *                   type: string
- *                 suggestion:
- *                   type: string
- *                   example: Try manual login mode or check credentials
+ *                   example: Request body must include a non-empty "urls" array
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
  */
-// LinkedIn authenticated scraping endpoint (similar to GitHub repo approach)
-app.post('/linkedin/scrape', async (req, res) => {
-  let scraper = null;
-  
-  try {
-    const { url, email, password, manual = false } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({
-        error: 'LinkedIn URL is required'
-      });
-    }
+// Batch content extraction endpoint
+app.post('/extract/batch', requireApiKey('extract', batchUnits), async (req, res) => {
+  const { urls, full, images, cache, concurrency, stream } = req.body;
 
-    if (!manual && (!email || !password)) {
-      return res.status(400).json({
-        error: 'Email and password required for automatic login, or set manual=true'
-      });
-    }
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({
+      error: 'Request body must include a non-empty "urls" array'
+    });
+  }
 
-    console.log(`🔗 LinkedIn authenticated scraping: ${url}`);
-    
-    scraper = new LinkedInAuthenticatedScraper();
-    
-    // Login based on approach (manual vs automatic)
-    if (manual) {
-      console.log('👤 Manual login mode - browser will open for user login');
-      await scraper.manualLogin();
-    } else {
-      console.log('🤖 Automatic login mode');
-      await scraper.automaticLogin(email, password);
-    }
-    
-    // Scrape the profile
-    const profileData = await scraper.scrapeProfile(url);
-    
-    res.json({
-      success: true,
-      data: profileData,
-      method: manual ? 'manual-login' : 'automatic-login',
-      warning: 'The profile owner may see that you viewed their profile',
-      extractedAt: new Date().toISOString()
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({
+      error: `A batch can contain at most ${BATCH_MAX_URLS} URLs`
     });
-    
+  }
+
+  const poolSize = Math.min(parseInt(concurrency) || BATCH_CONCURRENCY, BATCH_CONCURRENCY);
+  const useStream = stream === true || req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+  const defaults = {};
+  if (full !== undefined) defaults.full = full;
+  if (images !== undefined) defaults.images = images;
+  if (cache !== undefined) defaults.cache = cache;
+
+  logger.info(`Batch extraction: ${urls.length} URLs (concurrency: ${poolSize}${useStream ? ', streaming' : ''})`);
+
+  if (useStream) {
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+  }
+
+  let results;
+  try {
+    results = await mapWithConcurrency(
+      urls,
+      poolSize,
+      (item, index) => runBatchItem(item, index, defaults, req.signal),
+      useStream ? (result) => res.write(JSON.stringify({ type: 'result', ...result }) + '\n') : null
+    );
   } catch (error) {
-    console.error('LinkedIn scraping error:', error);
-    res.status(500).json({
-      error: 'LinkedIn scraping failed',
-      message: error.message,
-      suggestion: 'Try manual login mode or check credentials'
-    });
-  } finally {
-    if (scraper) {
-      await scraper.close();
+    if (error instanceof RequestAbortedError) {
+      return sendAborted(res, error);
     }
+    throw error;
   }
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: 'Something went wrong!',
-    message: err.message
-  });
-});
+  const succeeded = results.filter(result => result.status === 'success').length;
+  const summary = {
+    count: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    completedAt: new Date().toISOString()
+  };
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found'
-  });
+  if (useStream) {
+    res.end(JSON.stringify({ type: 'summary', ...summary }) + '\n');
+  } else {
+    res.json({ ...summary, results });
+  }
 });
 
-// Add process error handlers
+/**
+ * @swagger
+ * /research:
+ *   get:
+ *     tags: [Research]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Search, then extract the top results
+ *     description: |
+ *       Runs the search provider chain and extracts the top N result URLs in parallel (at most EXTRACT_BATCH_CONCURRENCY at a time).
+ *       Login-walled and empty pages are skipped with a reason. Requires an API key with both the search and extract scopes.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SearchQuery'
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Number of top results to extract (maximum set by RESEARCH_MAX_TOP)
+ *       - in: query
+ *         name: full
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Extract full pages instead of the main content
+ *       - in: query
+ *         name: images
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Keep images in the markdown
+ *       - $ref: '#/components/parameters/SearchProviders'
+ *       - $ref: '#/components/parameters/SearchMode'
+ *       - $ref: '#/components/parameters/RateLimitMode'
+ *       - $ref: '#/components/parameters/CacheMode'
+ *       - $ref: '#/components/parameters/SearchLang'
+ *       - $ref: '#/components/parameters/SearchCountry'
+ *       - $ref: '#/components/parameters/SearchSafe'
+ *       - $ref: '#/components/parameters/SearchDateRestrict'
+ *       - $ref: '#/components/parameters/SearchSite'
+ *       - $ref: '#/components/parameters/SearchExcludeSite'
+ *       - $ref: '#/components/parameters/SearchFiletype'
+ *     responses:
+ *       200:
+ *         description: Research completed (check each entry's status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                   example: "web scraping tools"
+ *                 top:
+ *                   type: integer
+ *                   example: 5
+ *                 search:
+ *                   type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       nullable: true
+ *                       example: google-api
+ *                     searchEngine:
+ *                       type: string
+ *                     count:
+ *                       type: integer
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProviderAttempt'
+ *                     error:
+ *                       type: string
+ *                       description: Present when every search provider failed
+ *                 extracted:
+ *                   type: integer
+ *                   example: 3
+ *                 skipped:
+ *                   type: integer
+ *                   example: 1
+ *                 failed:
+ *                   type: integer
+ *                   example: 1
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                       normalizedUrl:
+ *                         type: string
+ *                       snippet:
+ *                         type: string
+ *                       engine:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [extracted, skipped, failed]
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [login_required, empty, invalid_url, url_not_allowed, queue_full, error]
+ *                       message:
+ *                         type: string
+ *                       markdown:
+ *                         type: string
+ *                         description: Extracted content (only when status is extracted)
+ *                       metadata:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                           finalUrl:
+ *                             type: string
+ *                             description: URL after redirects
+ *                           extractionType:
+ *                             type: string
+ *                             example: main-content
+ *                           contentLength:
+ *                             type: integer
+ *                       extractedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadSearchRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       504:
+ *         $ref: '#/components/responses/RequestTimeout'
+ */
+// Search-then-extract endpoint
+app.get('/research', requireApiKey('search', researchUnits), async (req, res) => {
+  if (req.apiKey && !apiKeyManager.hasScope(req.apiKey, 'extract')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key "${req.apiKey.name}" does not have the "extract" scope`
+    });
+  }
+
+  const top = parseResearchTop(req.query);
+  if (!Number.isInteger(top) || top < 1 || top > RESEARCH_MAX_TOP) {
+    return res.status(400).json({ error: `Parameter "top" must be between 1 and ${RESEARCH_MAX_TOP}` });
+  }
+
+  const { q, providers, mode, rateLimit, lang, country, safe, dateRestrict, site, excludeSite, filetype, full, images, cache } = req.query;
+  const { params, error } = parseSearchParams(
+    { q, providers, mode, rateLimit, lang, country, safe, dateRestrict, site, excludeSite, filetype, cache, vertical: 'web', limit: top },
+    req.apiKey
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    logger.info(`Research: "${params.query}" (top ${top})`);
+    const searchResult = await runSearch(params, { signal: req.signal });
+    const topResults = searchResult.results.slice(0, top);
+
+    const defaults = {};
+    if (full !== undefined) defaults.full = full;
+    if (images !== undefined) defaults.images = images;
+    if (cache !== undefined) defaults.cache = cache;
+
+    const results = await mapWithConcurrency(
+      topResults,
+      BATCH_CONCURRENCY,
+      (result, index) => runResearchItem(result, index, defaults, req.signal)
+    );
+
+    const countStatus = status => results.filter(result => result.status === status).length;
+    logger.info(`Research done: ${countStatus('extracted')} extracted, ${countStatus('skipped')} skipped, ${countStatus('failed')} failed`);
+
+    res.json({
+      query: params.query,
+      top,
+      search: {
+        provider: searchResult.provider,
+        searchEngine: searchResult.searchEngine,
+        count: searchResult.count,
+        attempts: searchResult.attempts,
+        ...(searchResult.error ? { error: searchResult.error } : {})
+      },
+      extracted: countStatus('extracted'),
+      skipped: countStatus('skipped'),
+      failed: countStatus('failed'),
+      results,
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+
+    if (error instanceof RequestAbortedError) {
+      return sendAborted(res, error);
+    }
+
+    logger.error('Research error', error);
+    res.status(500).json({
+      error: 'Failed to perform research',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /linkedin/scrape:
+ *   post:
+ *     tags: [LinkedIn]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: LinkedIn Authenticated Scraping
+ *     description: |
+ *       Performs authenticated LinkedIn profile scraping with support for both automatic and manual login methods.
+ *       **Warning:** The profile owner may see that you viewed their profile.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: LinkedIn profile URL to scrape
+ *                 example: "https://www.linkedin.com/in/example-profile"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: LinkedIn email (required for automatic login)
+ *                 example: "your-email@example.com"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: LinkedIn password (required for automatic login)
+ *                 example: "your-password"
+ *               manual:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Use manual login mode (browser will open for user login)
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: LinkedIn profile scraped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   description: Extracted LinkedIn profile data
+ *                 method:
+ *                   type: string
+ *                   enum: [manual-login, automatic-login]
+ *                   example: "automatic-login"
+ *                 warning:
+ *                   type: string
+ *                   example: "The profile owner may see that you viewed their profile"
+ *                 extractedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2024-01-01T00:00:00.000Z"
+ *       400:
+ *         description: Missing required parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: LinkedIn URL is required
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: LinkedIn scraping failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: LinkedIn scraping failed
+ *                 message:
+ *                   type: string
+ *                 suggestion:
+ *                   type: string
+ *                   example: Try manual login mode or check credentials
+ */
+// LinkedIn authenticated scraping endpoint (similar to GitHub repo approach)
+app.post('/linkedin/scrape', requireApiKey('linkedin'), async (req, res) => {
+  let scraper = null;
+  
+  try {
+    const { url, email, password, manual = false } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({
+        error: 'LinkedIn URL is required'
+      });
+    }
+
+    if (!manual && (!email || !password)) {
+      return res.status(400).json({
+        error: 'Email and password required for automatic login, or set manual=true'
+      });
+    }
+
+    logger.info(`LinkedIn authenticated scraping: ${url}`);
+    
+    scraper = new LinkedInAuthenticatedScraper();
+    
+    const profileData = await workQueue.run(async () => {
+      // Login based on approach (manual vs automatic)
+      if (manual) {
+        logger.info('Manual login mode - browser will open for user login');
+        await scraper.manualLogin();
+      } else {
+        logger.info('Automatic login mode');
+        await scraper.automaticLogin(email, password);
+      }
+      
+      // Scrape the profile
+      return scraper.scrapeProfile(url);
+    }, { label: `linkedin ${url}` });
+    
+    res.json({
+      success: true,
+      data: profileData,
+      method: manual ? 'manual-login' : 'automatic-login',
+      warning: 'The profile owner may see that you viewed their profile',
+      extractedAt: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return sendQueueFull(res, error);
+    }
+
+    logger.error('LinkedIn scraping error', error);
+    res.status(500).json({
+      error: 'LinkedIn scraping failed',
+      message: error.message,
+      suggestion: 'Try manual login mode or check credentials'
+    });
+  } finally {
+    if (scraper) {
+      await scraper.close();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     SearchQuery:
+ *       in: query
+ *       name: q
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Search query string
+ *       example: "web scraping tools"
+ *     SearchLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *       description: |
+ *         Maximum number of results to return. The Custom Search API is queried 10 results per request,
+ *         and every page counts against the daily quota; scraper providers only return their first results page.
+ *       example: 10
+ *     SearchOffset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         maximum: 99
+ *         default: 0
+ *       description: Number of results to skip
+ *       example: 20
+ *     SearchPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *       description: 1-based page of `limit` results; overrides offset (offset = (page - 1) * limit)
+ *       example: 3
+ *     SearchProviders:
+ *       in: query
+ *       name: providers
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Comma-separated provider order for this request (google-api, google, duckduckgo).
+ *         Defaults to the API key's providers, then SEARCH_PROVIDER_ORDER.
+ *       example: "google-api,duckduckgo"
+ *     SearchMode:
+ *       in: query
+ *       name: mode
+ *       schema:
+ *         type: string
+ *         enum: [fallback, meta]
+ *         default: fallback
+ *       description: |
+ *         fallback returns the first provider with results. meta queries every available provider at once and merges
+ *         the results with reciprocal rank fusion, deduplicated by normalizedUrl; each result lists every engine's rank.
+ *     RateLimitMode:
+ *       in: query
+ *       name: rateLimit
+ *       schema:
+ *         type: string
+ *         enum: [wait, fail]
+ *       description: |
+ *         What to do when a provider's rate limit does not allow a request yet (default: RATE_LIMIT_MODE, wait).
+ *         wait holds the request until the limit allows it. fail skips the rate limited provider; if no other provider
+ *         returns results the response is 429 with Retry-After set to when the limit allows the next request.
+ *     CacheMode:
+ *       in: query
+ *       name: cache
+ *       schema:
+ *         type: string
+ *         enum: [bypass, refresh]
+ *       description: |
+ *         bypass skips the result cache entirely; refresh ignores the cached entry and stores the new result.
+ *         By default a cached result is returned until its TTL expires.
+ *     SearchLang:
+ *       in: query
+ *       name: lang
+ *       schema:
+ *         type: string
+ *       description: Result language (ISO 639-1, e.g. en, de, zh-TW)
+ *       example: en
+ *     SearchCountry:
+ *       in: query
+ *       name: country
+ *       schema:
+ *         type: string
+ *       description: Result country (ISO 3166-1 alpha-2, e.g. us, de)
+ *       example: us
+ *     SearchSafe:
+ *       in: query
+ *       name: safe
+ *       schema:
+ *         type: string
+ *         enum: [off, moderate, strict]
+ *       description: Safe search level
+ *     SearchDateRestrict:
+ *       in: query
+ *       name: dateRestrict
+ *       schema:
+ *         type: string
+ *       description: Only results from the past N days (dN), weeks (wN), months (mN) or years (yN)
+ *       example: m6
+ *     SearchSite:
+ *       in: query
+ *       name: site
+ *       schema:
+ *         type: string
+ *       description: Comma-separated domains to search within
+ *       example: nodejs.org
+ *     SearchExcludeSite:
+ *       in: query
+ *       name: excludeSite
+ *       schema:
+ *         type: string
+ *       description: Comma-separated domains to exclude
+ *       example: pinterest.com
+ *     SearchFiletype:
+ *       in: query
+ *       name: filetype
+ *       schema:
+ *         type: string
+ *       description: File extension of results (e.g. pdf)
+ *       example: pdf
+ *   responses:
+ *     BadSearchRequest:
+ *       description: Missing or invalid search parameter
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: Query parameter "q" is required
+ *   schemas:
+ *     SearchResponse:
+ *       type: object
+ *       description: Fields shared by /search, /search/images and /search/news responses
+ *       properties:
+ *         query:
+ *           type: string
+ *           example: "web scraping tools"
+ *         vertical:
+ *           type: string
+ *           enum: [web, images, news]
+ *         count:
+ *           type: integer
+ *           example: 10
+ *         offset:
+ *           type: integer
+ *           example: 0
+ *         filters:
+ *           type: object
+ *           description: Filters applied, after validation
+ *           example: { lang: en, country: us, site: [nodejs.org] }
+ *         searchEngine:
+ *           type: string
+ *           example: Google API
+ *         provider:
+ *           type: string
+ *           nullable: true
+ *           description: Provider that returned the results ("meta" in meta mode, null if all failed)
+ *           example: google-api
+ *         mode:
+ *           type: string
+ *           enum: [fallback, meta]
+ *         providers:
+ *           type: array
+ *           description: Meta mode only - providers whose results were merged
+ *           items:
+ *             type: string
+ *           example: [google-api, duckduckgo]
+ *         cache:
+ *           $ref: '#/components/schemas/CacheInfo'
+ *         attempts:
+ *           type: array
+ *           description: Providers tried in order, with the reason each one was skipped or failed
+ *           items:
+ *             $ref: '#/components/schemas/ProviderAttempt'
+ *     SearchResult:
+ *       type: object
+ *       description: A search result in the same shape for every provider
+ *       required: [title, url, normalizedUrl, displayUrl, snippet, rank, engine, extras]
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: "Best Web Scraping Tools 2024"
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Target URL (search engine redirect links are unwrapped)
+ *           example: "https://www.example.com/web-scraping-tools/?utm_source=news"
+ *         normalizedUrl:
+ *           type: string
+ *           description: Canonical URL for comparing results (lowercase host without www, no fragment, tracking parameters or trailing slash, sorted query)
+ *           example: "https://example.com/web-scraping-tools"
+ *         displayUrl:
+ *           type: string
+ *           example: "www.example.com"
+ *         snippet:
+ *           type: string
+ *           example: "Comprehensive guide to web scraping tools..."
+ *         rank:
+ *           type: integer
+ *           description: 1-based position in the engine's results
+ *           example: 1
+ *         engine:
+ *           type: string
+ *           enum: [google-api, google, duckduckgo]
+ *           description: Provider that produced the result
+ *         extras:
+ *           type: object
+ *           description: Optional engine-specific data; only present keys are included
+ *           properties:
+ *             htmlTitle:
+ *               type: string
+ *             htmlSnippet:
+ *               type: string
+ *               example: "Comprehensive guide to <b>web scraping</b> tools..."
+ *             formattedUrl:
+ *               type: string
+ *             pagemap:
+ *               type: object
+ *               description: Structured data from the Custom Search API (metatags, cse_image, ...)
+ *         engineRanks:
+ *           type: object
+ *           description: Meta mode only - rank of the result in each engine that returned it
+ *           additionalProperties:
+ *             type: integer
+ *           example: { google-api: 2, duckduckgo: 1 }
+ *         fusionScore:
+ *           type: number
+ *           description: Meta mode only - reciprocal rank fusion score, the sum of 1 / (k + rank) over engines
+ *           example: 0.032522
+ *     CacheInfo:
+ *       type: object
+ *       description: Whether the response came from the result cache
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [hit, miss, revalidated, refresh, bypass]
+ *           description: revalidated means the origin answered 304 Not Modified to a conditional request
+ *         storedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         age:
+ *           type: integer
+ *           description: Seconds since the result was stored
+ *           example: 120
+ *     SerpFeature:
+ *       type: object
+ *       description: A results page feature; the fields present depend on type
+ *       required: [type, engine]
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [featured_snippet, people_also_ask, knowledge_panel, related_searches]
+ *         engine:
+ *           type: string
+ *           enum: [google, duckduckgo]
+ *         title:
+ *           type: string
+ *           description: featured_snippet and knowledge_panel
+ *           example: "What is web scraping?"
+ *         url:
+ *           type: string
+ *           nullable: true
+ *           description: Source page of a featured_snippet or knowledge_panel
+ *         normalizedUrl:
+ *           type: string
+ *           nullable: true
+ *         snippet:
+ *           type: string
+ *           description: featured_snippet answer text
+ *         listItems:
+ *           type: array
+ *           description: featured_snippet list entries, when the answer is a list
+ *           items:
+ *             type: string
+ *         questions:
+ *           type: array
+ *           description: people_also_ask questions (answer is null unless the page showed it)
+ *           items:
+ *             type: object
+ *             properties:
+ *               question:
+ *                 type: string
+ *                 example: "Is web scraping legal?"
+ *               answer:
+ *                 type: string
+ *                 nullable: true
+ *               url:
+ *                 type: string
+ *                 nullable: true
+ *               normalizedUrl:
+ *                 type: string
+ *                 nullable: true
+ *         subtitle:
+ *           type: string
+ *           nullable: true
+ *           description: knowledge_panel subtitle
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           description: knowledge_panel description
+ *         attributes:
+ *           type: object
+ *           description: knowledge_panel facts by label
+ *           additionalProperties:
+ *             type: string
+ *           example: { Founded: "1998", Headquarters: "Mountain View, CA" }
+ *         queries:
+ *           type: array
+ *           description: related_searches queries
+ *           items:
+ *             type: string
+ *     ImageResult:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: "Node.js logo"
+ *         imageUrl:
+ *           type: string
+ *           format: uri
+ *           example: "https://nodejs.org/static/images/logo.svg"
+ *         thumbnailUrl:
+ *           type: string
+ *           format: uri
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *           example: 1200
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *           example: 800
+ *         mimeType:
+ *           type: string
+ *           nullable: true
+ *           example: image/png
+ *         contextUrl:
+ *           type: string
+ *           format: uri
+ *           description: Page the image appears on
+ *           example: "https://nodejs.org/en/about"
+ *         normalizedUrl:
+ *           type: string
+ *           description: Normalized context page URL
+ *         displayUrl:
+ *           type: string
+ *           example: nodejs.org
+ *         rank:
+ *           type: integer
+ *           example: 1
+ *         engine:
+ *           type: string
+ *           enum: [google-api, duckduckgo]
+ *         extras:
+ *           type: object
+ *           description: Engine-specific data (byteSize, thumbnailWidth, thumbnailHeight, source)
+ *     NewsResult:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: "Node.js 22 released"
+ *         url:
+ *           type: string
+ *           format: uri
+ *         normalizedUrl:
+ *           type: string
+ *         snippet:
+ *           type: string
+ *         publisher:
+ *           type: string
+ *           example: The Register
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Publication time (relative dates such as "3 hours ago" are converted)
+ *         publishedText:
+ *           type: string
+ *           nullable: true
+ *           description: Publication date as reported by the engine
+ *           example: "2 days ago"
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *         rank:
+ *           type: integer
+ *           example: 1
+ *         engine:
+ *           type: string
+ *           enum: [duckduckgo]
+ *         extras:
+ *           type: object
+ *     ProviderAttempt:
+ *       type: object
+ *       properties:
+ *         provider:
+ *           type: string
+ *           example: google-api
+ *         status:
+ *           type: string
+ *           enum: [success, empty, failed, skipped]
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           example: "Google is blocking search results. URL: https://www.google.com/sorry/index"
+ *         errorType:
+ *           type: string
+ *           description: Type of failure, for failed attempts and attempts skipped by an open circuit or a rate limit
+ *           enum: [blocked, timeout, quota_exceeded, network, parse_failure, circuit_open, rate_limited, unknown]
+ *           example: blocked
+ *         retryAfter:
+ *           type: integer
+ *           description: Seconds until the rate limit allows the provider again (rate_limited attempts)
+ *         durationMs:
+ *           type: integer
+ *           example: 840
+ *         resultCount:
+ *           type: integer
+ *           example: 10
+ *         unsupportedFilters:
+ *           type: array
+ *           description: Requested filters this provider could not apply
+ *           items:
+ *             type: string
+ *           example: ["dateRestrict=d7 (DuckDuckGo only supports the past day, week, month or year)"]
+ *         circuit:
+ *           type: string
+ *           description: State of the provider's circuit breaker after the attempt
+ *           enum: [closed, open, half-open]
+ *           example: open
+ *     ProviderStats:
+ *       type: object
+ *       description: Health, counters and performance of a search provider
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: google
+ *         engine:
+ *           type: string
+ *           example: Google
+ *         available:
+ *           type: boolean
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         attempts:
+ *           type: integer
+ *           example: 40
+ *         successes:
+ *           type: integer
+ *           example: 28
+ *         failures:
+ *           type: integer
+ *           example: 12
+ *         skipped:
+ *           type: integer
+ *           description: Times the provider was passed over (unavailable, unsupported vertical or open circuit)
+ *           example: 9
+ *         successRate:
+ *           type: integer
+ *           nullable: true
+ *           description: Percentage of completed calls that succeeded
+ *           example: 70
+ *         latencyMs:
+ *           type: object
+ *           description: Percentiles over the last 200 calls, successful or not
+ *           properties:
+ *             samples:
+ *               type: integer
+ *               example: 40
+ *             p50:
+ *               type: integer
+ *               nullable: true
+ *               example: 38200
+ *             p90:
+ *               type: integer
+ *               nullable: true
+ *               example: 52100
+ *             p95:
+ *               type: integer
+ *               nullable: true
+ *             p99:
+ *               type: integer
+ *               nullable: true
+ *             max:
+ *               type: integer
+ *               nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         lastErrorType:
+ *           type: string
+ *           nullable: true
+ *           example: blocked
+ *         lastSuccessAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastFailureAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         circuitBreaker:
+ *           $ref: '#/components/schemas/CircuitBreaker'
+ *     CircuitBreaker:
+ *       type: object
+ *       description: Circuit breaker of a search provider, driven by its recent outcomes
+ *       properties:
+ *         state:
+ *           type: string
+ *           enum: [closed, open, half-open]
+ *         windowRequests:
+ *           type: integer
+ *           description: Outcomes in the current window
+ *           example: 4
+ *         windowFailures:
+ *           type: integer
+ *           example: 3
+ *         failureRate:
+ *           type: integer
+ *           description: Failure percentage over the window
+ *           example: 75
+ *         consecutiveFailures:
+ *           type: integer
+ *           example: 2
+ *         timesOpened:
+ *           type: integer
+ *           example: 1
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         retryAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When an open circuit admits a probe request
+ *         cooldownMs:
+ *           type: integer
+ *           example: 60000
+ *         lastFailure:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             kind:
+ *               type: string
+ *               example: blocked
+ *             message:
+ *               type: string
+ *             at:
+ *               type: string
+ *               format: date-time
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [search, extract]
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         params:
+ *           type: object
+ *           description: Normalized job parameters
+ *         owner:
+ *           type: string
+ *           nullable: true
+ *           description: Name of the API key that created the job
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: X-Request-Id of the request that created the job, included in the job's log lines
+ *         progress:
+ *           type: object
+ *           properties:
+ *             stage:
+ *               type: string
+ *               description: searching or extracting; rate_limited while a search job waits for a rate limit
+ *               example: searching
+ *             message:
+ *               type: string
+ *             estimatedWait:
+ *               type: integer
+ *               description: Seconds the search waits for the rate limit (rate_limited stage)
+ *               example: 32
+ *             resumesAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the search continues after the rate limit wait (rate_limited stage)
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: Same payload as GET /search or GET /extract (extract results include statusCode)
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ * /jobs:
+ *   post:
+ *     tags: [Jobs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Create an Asynchronous Job
+ *     description: |
+ *       Queues a search or extraction and returns immediately with a job id.
+ *       Poll GET /jobs/{id} for progress and the result. Jobs survive server restarts.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [search, extract]
+ *                 example: search
+ *               q:
+ *                 type: string
+ *                 description: Search query (search jobs)
+ *                 example: "web scraping tools"
+ *               limit:
+ *                 type: integer
+ *                 description: Maximum number of results, up to 100 (search jobs)
+ *                 example: 10
+ *               offset:
+ *                 type: integer
+ *                 description: Number of results to skip (search jobs)
+ *               page:
+ *                 type: integer
+ *                 description: 1-based page of limit results, overrides offset (search jobs)
+ *               lang:
+ *                 type: string
+ *                 description: Result language (search jobs)
+ *               country:
+ *                 type: string
+ *                 description: Result country (search jobs)
+ *               safe:
+ *                 type: string
+ *                 description: Safe search level - off, moderate or strict (search jobs)
+ *               dateRestrict:
+ *                 type: string
+ *                 description: Date restriction such as d7 or m6 (search jobs)
+ *               site:
+ *                 type: string
+ *                 description: Comma-separated domains to search within (search jobs)
+ *               excludeSite:
+ *                 type: string
+ *                 description: Comma-separated domains to exclude (search jobs)
+ *               filetype:
+ *                 type: string
+ *                 description: File extension of results (search jobs)
+ *               providers:
+ *                 type: string
+ *                 description: Comma-separated search provider order (search jobs)
+ *                 example: "google-api,duckduckgo"
+ *               mode:
+ *                 type: string
+ *                 enum: [fallback, meta]
+ *                 description: Search mode (search jobs)
+ *               rateLimit:
+ *                 type: string
+ *                 enum: [wait, fail]
+ *                 description: |
+ *                   Search jobs wait for rate limits by default and report the estimated wait in their progress;
+ *                   with fail the job fails instead
+ *               cache:
+ *                 type: string
+ *                 enum: [bypass, refresh]
+ *                 description: Result cache control
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: URL to extract (extract jobs)
+ *               full:
+ *                 type: boolean
+ *                 description: Extract full page content (extract jobs)
+ *               images:
+ *                 type: boolean
+ *                 description: Include images (extract jobs)
+ *     responses:
+ *       202:
+ *         description: Job accepted
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the job status resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid job specification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Job type must be "search" or "extract"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/jobs', requireApiKey(req => (req.body.type === 'extract' ? 'extract' : 'search')), (req, res) => {
+  const { type } = req.body;
+  const parsers = { search: parseSearchParams, extract: parseExtractParams };
+
+  if (!parsers[type]) {
+    return res.status(400).json({
+      error: 'Job type must be "search" or "extract"'
+    });
+  }
+
+  const { params, error } = parsers[type](req.body, req.apiKey);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const job = jobManager.create(type, params, req.apiKey ? req.apiKey.name : null);
+  res.status(202).location(`/jobs/${job.id}`).json(job);
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     tags: [Jobs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Get Job Status
+ *     description: Returns the status, progress, and (once finished) the result or error of a job.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Job not found
+ *   delete:
+ *     tags: [Jobs]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Cancel Job
+ *     description: |
+ *       Cancels a queued or running job. A running job's search or extraction is stopped, freeing its browser and queue slot.
+ *       Finished jobs are returned unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled (or already finished)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Job not found
+ */
+app.get('/jobs/:id', requireApiKey(null), (req, res) => {
+  const job = jobManager.get(req.params.id);
+
+  if (!job || !canAccessJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+app.delete('/jobs/:id', requireApiKey(null), (req, res) => {
+  const existing = jobManager.get(req.params.id);
+
+  if (!existing || !canAccessJob(req, existing)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = jobManager.cancel(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+/**
+ * @swagger
+ * /admin/google-api/usage:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Google Custom Search API quota usage
+ *     description: |
+ *       Today's usage of every configured API key / search engine ID pair, in rotation order.
+ *       Quota days follow Google's reset at midnight Pacific time. Requires the admin scope.
+ *     responses:
+ *       200:
+ *         description: Usage per key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requestsUsed:
+ *                   type: integer
+ *                   example: 130
+ *                 requestsRemaining:
+ *                   type: integer
+ *                   example: 70
+ *                 dailyLimit:
+ *                   type: integer
+ *                   example: 200
+ *                 usagePercentage:
+ *                   type: integer
+ *                   example: 65
+ *                 resetDate:
+ *                   type: string
+ *                   description: Current quota day (Pacific time)
+ *                   example: "2024-01-01"
+ *                 resetsAt:
+ *                   type: string
+ *                   format: date-time
+ *                 isConfigured:
+ *                   type: boolean
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: primary
+ *                       apiKey:
+ *                         type: string
+ *                         description: Last four characters of the key
+ *                         example: "…x9Qk"
+ *                       searchEngineId:
+ *                         type: string
+ *                       dailyLimit:
+ *                         type: integer
+ *                         example: 100
+ *                       requestsUsed:
+ *                         type: integer
+ *                         example: 100
+ *                       requestsRemaining:
+ *                         type: integer
+ *                         example: 0
+ *                       exhausted:
+ *                         type: boolean
+ *                         description: Limit reached, or Google reported the quota exceeded
+ *                       active:
+ *                         type: boolean
+ *                         description: Key used for the next request
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       lastError:
+ *                         type: string
+ *                         nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/admin/google-api/usage', requireApiKey('admin'), (req, res) => {
+  const { keys, ...usage } = googleAPI.getUsageStats();
+  res.json({ ...usage, keys: googleAPI.getKeyUsage() });
+});
+
+/**
+ * @swagger
+ * /stats:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Anti-blocking and capacity statistics
+ *     description: |
+ *       Aggregates the search provider chain (fallback counters, per-provider success rate, latency percentiles
+ *       and circuit breaker), the adaptive rate limiter, Custom Search quota, proxies, work queue, browser pool,
+ *       result cache and jobs, to show why searches are falling back. Requires the admin scope.
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 uptime:
+ *                   type: integer
+ *                   description: Process uptime in seconds
+ *                   example: 86400
+ *                 searchProviders:
+ *                   type: object
+ *                   properties:
+ *                     order:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [google-api, google, duckduckgo]
+ *                     searches:
+ *                       type: integer
+ *                       example: 120
+ *                     fallbacks:
+ *                       type: integer
+ *                       description: Searches answered by a provider other than the first in the order
+ *                       example: 35
+ *                     failed:
+ *                       type: integer
+ *                       description: Searches where no provider returned results
+ *                       example: 2
+ *                     servedBy:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example: { "google-api": 83, "duckduckgo": 35 }
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProviderStats'
+ *                 rateLimiter:
+ *                   type: object
+ *                   description: Adaptive rate limiter used by the Google scraper
+ *                 googleApi:
+ *                   type: object
+ *                   description: Custom Search quota totals (see /admin/google-api/usage for each key)
+ *                 proxies:
+ *                   type: object
+ *                   description: Configured, healthy and failed proxies
+ *                 enhancedScraper:
+ *                   type: object
+ *                   description: Anti-blocking features in use
+ *                 queue:
+ *                   type: object
+ *                   description: Work queue depth, limits and counters
+ *                 browserPool:
+ *                   type: object
+ *                   description: Pooled browsers, active leases and recycling counters
+ *                 cache:
+ *                   type: object
+ *                   description: Result cache backend, entries and hit counters
+ *                 jobs:
+ *                   type: object
+ *                   description: Jobs by status
+ *                 memory:
+ *                   type: object
+ *                   description: Process memory in MB
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/stats', requireApiKey('admin'), async (req, res) => {
+  try {
+    const memory = process.memoryUsage();
+
+    res.json({
+      timestamp: new Date().toISOString(),
+      uptime: Math.round(process.uptime()),
+      searchProviders: await searchProviders.getStats(),
+      rateLimiter: rateLimiter.getStats(),
+      googleApi: googleAPI.getUsageStats(),
+      proxies: getProxyStats(),
+      enhancedScraper: enhancedScraper.getStats(),
+      queue: workQueue.getStats(),
+      browserPool: browserPool.getStats(),
+      cache: await resultCache.getStats(),
+      jobs: jobManager.getStats(),
+      memory: {
+        rss: Math.round(memory.rss / 1024 / 1024),
+        heapUsed: Math.round(memory.heapUsed / 1024 / 1024),
+        heapTotal: Math.round(memory.heapTotal / 1024 / 1024)
+      }
+    });
+  } catch (error) {
+    logger.error('Stats error', error);
+    res.status(500).json({
+      error: 'Failed to collect statistics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text exposition format: HTTP requests and latency per route, search attempts
+ *       and errors per provider, extraction outcomes by extractionType, browser launches, active pages,
+ *       rate limiter delay, Custom Search quota remaining per key, and Node.js process metrics.
+ *       Requires the admin scope unless METRICS_PUBLIC=true.
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP scraper_search_attempts_total Search provider attempts by provider and outcome (success, empty, failed, skipped)
+ *                 # TYPE scraper_search_attempts_total counter
+ *                 scraper_search_attempts_total{provider="google",outcome="failed"} 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/metrics', METRICS_PUBLIC ? (req, res, next) => next() : requireApiKey('admin'), async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.send(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Metrics error', error);
+    res.status(500).send(`# Failed to collect metrics: ${error.message}\n`);
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled request error', err);
+  res.status(500).json({
+    error: 'Something went wrong!',
+    message: err.message
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    error: 'Endpoint not found'
+  });
+});
+
+/**
+ * Poll a condition until it holds or the timeout passes
+ * @param {Function} condition - () => boolean
+ * @param {number} timeoutMs - Longest wait
+ * @returns {boolean} True if the condition held in time
+ */
+async function waitFor(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return true;
+}
+
+/**
+ * Stop gracefully: refuse new requests, give in-flight searches, extractions and jobs up to
+ * SHUTDOWN_TIMEOUT to finish, then close LinkedIn sessions and browsers, persist jobs and exit
+ * @param {string} reason - Signal or error that triggered the shutdown
+ * @param {number} exitCode - Process exit code
+ */
+async function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+  const remaining = () => Math.max(0, deadline - Date.now());
+  logger.info(`Shutting down (${reason}), waiting up to ${SHUTDOWN_TIMEOUT / 1000}s for in-flight work`, {
+    requests: inFlightResponses.size,
+    queue: workQueue.getStats().active + workQueue.getStats().queued,
+    jobs: jobManager.getStats().running
+  });
+
+  // Last resort if closing browsers or flushing spans hangs
+  setTimeout(() => process.exit(exitCode || 1), SHUTDOWN_TIMEOUT + 10000).unref();
+
+  server.close();
+  const [requestsDone, queueDrained, jobsDone] = await Promise.all([
+    waitFor(() => inFlightResponses.size === 0, remaining()),
+    workQueue.drain(remaining()),
+    jobManager.stop(remaining())
+  ]);
+  if (!requestsDone || !queueDrained || !jobsDone) {
+    logger.warn('Shutdown deadline reached, interrupting in-flight work', {
+      requests: inFlightResponses.size,
+      queue: workQueue.getStats().active + workQueue.getStats().queued
+    });
+  }
+  // Remaining connections are idle keep-alive sockets or requests past the deadline
+  server.closeAllConnections();
+
+  await LinkedInAuthenticatedScraper.closeAll();
+  await browserPool.closeAll();
+  await shutdownTracing().catch(error => logger.error(`Failed to flush traces: ${error.message}`));
+
+  logger.info('Shutdown complete');
+  process.exit(exitCode);
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    if (shuttingDown) {
+      logger.warn(`${signal} received again, exiting immediately`);
+      process.exit(1);
+    }
+    shutdown(signal);
+  });
+}
+
+// An uncaught exception leaves the process in an unknown state: drain and exit with an error code
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
+  logger.error('Uncaught Exception', error);
+  shutdown('uncaughtException', 1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
+// A rejected promise nobody awaited is logged; it does not take down requests in progress
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled Rejection', { reason });
 });
 
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on ${PUBLIC_URL}`);
-  console.log(`📍 Environment: ${NODE_ENV}`);
-  console.log(`🔗 Port: ${PORT}`);
-  console.log('📋 Available endpoints:');
-  console.log(`   GET /search?q=your+query`);
-  console.log(`   GET /extract?url=https://example.com`);
-  console.log(`   GET /api-docs - Swagger documentation`);
-  console.log('✅ Server startup completed successfully');
+  logger.info(`Server running on ${PUBLIC_URL}`, { port: PORT, environment: NODE_ENV, docs: `${PUBLIC_URL}/api-docs` });
+  jobManager.start();
 });
 
 server.on('error', (error) => {
-  console.error('Server error:', error);
+  logger.error('Server error', error);
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -3,6 +3,13 @@
  * Intelligent delays based on success patterns and human-like behavior
  */
 
+const { sleep } = require('./cancellation');
+const { RateLimitError } = require('./errors');
+const { createLogger } = require('./logger');
+const { withSpan, addSpanEvent, setSpanAttributes } = require('./tracing');
+
+const logger = createLogger('rate-limiter');
+
 class AdaptiveRateLimiter {
   constructor() {
     this.requests = [];
@@ -49,6 +56,17 @@ class AdaptiveRateLimiter {
     return this.requests.length < this.maxRequestsPerMinute;
   }
 
+  /**
+   * Time until the per-minute limit lets another request through (human-like delays not included)
+   * @returns {number} Milliseconds, 0 when a request can be made now
+   */
+  getWaitTime() {
+    if (this.canMakeRequest()) return 0;
+    // The request that has to leave the one-minute window before there is room again
+    const blocking = this.requests[this.requests.length - this.maxRequestsPerMinute];
+    return Math.max(0, blocking + 60000 - Date.now());
+  }
+
   /**
    * Calculate human-like delay based on time of day and patterns
    * @returns {number} Delay in milliseconds
@@ -92,7 +110,7 @@ class AdaptiveRateLimiter {
     // Ensure within bounds
     delay = Math.max(this.minDelay, Math.min(this.maxDelay, delay));
     
-    console.log(`🕐 Human delay calculation: ${Math.round(delay/1000)}s (hour: ${hour}, weekend: ${isWeekend}, circadian: ${circadianMultiplier})`);
+    logger.info(`Human delay calculation: ${Math.round(delay/1000)}s (hour: ${hour}, weekend: ${isWeekend}, circadian: ${circadianMultiplier})`);
     
     return delay;
   }
@@ -107,19 +125,22 @@ class AdaptiveRateLimiter {
     // Random pauses (thinking, reading, getting distracted)
     if (Math.random() < 0.3) { // 30% chance
       microDelays.push(Math.random() * 5000 + 2000); // 2-7 seconds
-      console.log('🤔 Simulating thinking pause...');
+      logger.debug('Simulating thinking pause...');
+      addSpanEvent('thinking pause', { 'rate_limit.delay_ms': Math.round(microDelays[microDelays.length - 1]) });
     }
     
     // Coffee break simulation
     if (Math.random() < 0.05) { // 5% chance
       microDelays.push(Math.random() * 30000 + 60000); // 1-1.5 minutes
-      console.log('☕ Simulating coffee break...');
+      logger.debug('Simulating coffee break...');
+      addSpanEvent('coffee break', { 'rate_limit.delay_ms': Math.round(microDelays[microDelays.length - 1]) });
     }
     
     // Phone distraction
     if (Math.random() < 0.1) { // 10% chance
       microDelays.push(Math.random() * 15000 + 10000); // 10-25 seconds
-      console.log('📱 Simulating phone distraction...');
+      logger.debug('Simulating phone distraction...');
+      addSpanEvent('phone distraction', { 'rate_limit.delay_ms': Math.round(microDelays[microDelays.length - 1]) });
     }
     
     return microDelays.reduce((sum, delay) => sum + delay, 0);
@@ -139,10 +160,10 @@ class AdaptiveRateLimiter {
     
     if (successRate < 0.7) { // Less than 70% success rate
       this.currentDelay = Math.min(this.maxDelay, this.currentDelay * 1.5);
-      console.log(`📈 Increasing delay due to failures: ${Math.round(this.currentDelay/1000)}s`);
+      logger.info(`Increasing delay due to failures: ${Math.round(this.currentDelay/1000)}s`);
     } else if (successRate > 0.9 && this.currentDelay > this.minDelay) { // More than 90% success
       this.currentDelay = Math.max(this.minDelay, this.currentDelay * 0.8);
-      console.log(`📉 Decreasing delay due to success: ${Math.round(this.currentDelay/1000)}s`);
+      logger.info(`Decreasing delay due to success: ${Math.round(this.currentDelay/1000)}s`);
     }
   }
 
@@ -155,27 +176,56 @@ class AdaptiveRateLimiter {
     const microDelays = this.addMicroDelays();
     const totalDelay = baseDelay + microDelays;
     
-    console.log(`⏳ Total delay: ${Math.round(totalDelay/1000)}s (base: ${Math.round(baseDelay/1000)}s, micro: ${Math.round(microDelays/1000)}s)`);
+    logger.info(`Total delay: ${Math.round(totalDelay/1000)}s (base: ${Math.round(baseDelay/1000)}s, micro: ${Math.round(microDelays/1000)}s)`);
+    setSpanAttributes({
+      'rate_limit.base_delay_ms': Math.round(baseDelay),
+      'rate_limit.micro_delay_ms': Math.round(microDelays)
+    });
     
     return totalDelay;
   }
 
   /**
    * Wait for the calculated delay
+   * @param {Object} options - {
+   *   signal: stops the wait when the request is cancelled; the request is then not counted,
+   *   mode: 'wait' (default) waits for room under the per-minute limit, 'fail' throws instead
+   *     and does not wait for the human-like delay either,
+   *   onWait: ({ limiter, waitMs }) => void, called with the estimated wait before waiting
+   * }
+   * @throws {RateLimitError} In fail mode, when the per-minute limit is reached
+   * @throws {RequestAbortedError} When the request is cancelled during the wait
    */
-  async waitForNextRequest() {
-    if (!this.canMakeRequest()) {
-      const waitTime = 60000; // Wait full minute if rate limited
-      console.log(`🚫 Rate limit exceeded. Waiting ${waitTime/1000}s...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return;
+  async waitForNextRequest(options = {}) {
+    return withSpan('rate_limit.wait', { 'rate_limit.limiter': 'adaptive' }, () => this.delayNextRequest(options));
+  }
+
+  /**
+   * Implementation of waitForNextRequest()
+   */
+  async delayNextRequest({ signal, mode = 'wait', onWait } = {}) {
+    const limitWait = this.getWaitTime();
+    if (limitWait > 0) {
+      setSpanAttributes({ 'rate_limit.exceeded': true });
+      if (mode === 'fail') {
+        const retryAfter = Math.ceil(limitWait / 1000);
+        logger.warn(`Rate limit exceeded, next request allowed in ${retryAfter}s`);
+        throw new RateLimitError(`Rate limit of ${this.maxRequestsPerMinute} requests per minute reached`, { limiter: 'adaptive', retryAfter });
+      }
     }
-    
-    const delay = await this.getNextDelay();
+
+    // Fail-fast callers are answered now, so they skip the human-like delay as well
+    const delay = mode === 'fail' ? 0 : limitWait + await this.getNextDelay();
+    setSpanAttributes({ 'rate_limit.delay_ms': Math.round(delay) });
     
     if (delay > 0) {
-      console.log(`⏱️ Waiting ${Math.round(delay/1000)}s before next request...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      if (limitWait > 0) {
+        logger.warn(`Rate limit exceeded. Waiting ${Math.round(delay/1000)}s...`);
+      } else {
+        logger.info(`Waiting ${Math.round(delay/1000)}s before next request...`);
+      }
+      if (onWait) onWait({ limiter: 'adaptive', waitMs: Math.round(delay) });
+      await sleep(delay, signal);
     }
     
     // Record this request
@@ -200,7 +250,7 @@ class AdaptiveRateLimiter {
    */
   recordFailure(reason = 'unknown') {
     this.failureHistory.push({ timestamp: Date.now(), reason });
-    console.log(`❌ Request failure recorded: ${reason}`);
+    logger.warn(`Request failure recorded: ${reason}`);
     
     // Keep only recent history
     if (this.failureHistory.length > 50) {
@@ -239,7 +289,7 @@ class AdaptiveRateLimiter {
     this.successHistory = [];
     this.failureHistory = [];
     this.currentDelay = this.minDelay;
-    console.log('🔄 Rate limiter reset');
+    logger.info('Rate limiter reset');
   }
 }
 
@@ -0,0 +1,285 @@
+/**
+ * API Key Authentication
+ * Header-based API keys with scopes, per-minute and daily quotas, and persisted usage counters
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { JsonStore } = require('./json-store');
+const { createLogger, addSecret } = require('./logger');
+
+const logger = createLogger('api-keys');
+
+const API_KEY_HEADER = 'X-API-Key';
+const API_KEY_SCOPES = ['search', 'extract', 'linkedin', 'admin'];
+const USAGE_FLUSH_DELAY = 5000;
+
+/**
+ * Hash an API key for lookup and storage
+ * @param {string} key - Raw API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Current UTC day, used to reset daily quotas
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class ApiKeyManager {
+  constructor(options = {}) {
+    this.usageStore = options.usageStore || new JsonStore(process.env.API_KEY_USAGE_FILE || 'api-key-usage.json');
+    this.keys = new Map(); // key hash -> key definition
+    this.minuteWindows = new Map(); // key name -> request timestamps in the last minute
+    this.usage = this.usageStore.load({});
+    this.flushTimer = null;
+
+    this.loadKeys(options.keys);
+    this.required = this.keys.size > 0 || process.env.REQUIRE_API_KEY === 'true';
+  }
+
+  /**
+   * Load key definitions from options, API_KEYS (JSON) or API_KEYS_FILE.
+   * Each key: { name, key | keyHash, scopes, quota: { perMinute, perDay } }
+   * @param {Array} keys - Optional explicit key definitions
+   */
+  loadKeys(keys) {
+    let definitions = keys;
+
+    if (!definitions && process.env.API_KEYS) {
+      definitions = JSON.parse(process.env.API_KEYS);
+    } else if (!definitions && process.env.API_KEYS_FILE) {
+      definitions = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    }
+
+    for (const definition of definitions || []) {
+      if (!definition.name || !(definition.key || definition.keyHash)) {
+        throw new Error('Each API key needs a "name" and a "key" or "keyHash"');
+      }
+
+      const scopes = definition.scopes || ['search', 'extract'];
+      const unknownScopes = scopes.filter(scope => scope !== '*' && !API_KEY_SCOPES.includes(scope));
+      if (unknownScopes.length > 0) {
+        throw new Error(`API key "${definition.name}" has unknown scopes: ${unknownScopes.join(', ')}`);
+      }
+
+      addSecret(definition.key);
+      this.keys.set(definition.keyHash || hashKey(definition.key), {
+        ...definition,
+        key: undefined,
+        scopes,
+        quota: definition.quota || {}
+      });
+    }
+
+    if (this.keys.size > 0) {
+      logger.info(`Loaded ${this.keys.size} API keys`);
+    }
+  }
+
+  /**
+   * Find the key definition for a raw API key
+   * @param {string} rawKey - Key sent by the client
+   * @returns {Object|null} Key definition
+   */
+  lookup(rawKey) {
+    if (!rawKey) return null;
+    return this.keys.get(hashKey(rawKey)) || null;
+  }
+
+  /**
+   * Check whether a key grants a scope
+   * @param {Object} apiKey - Key definition
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if allowed
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('*') || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Get (and roll over) the persisted usage record of a key
+   * @param {string} name - Key name
+   * @returns {Object} Usage record
+   */
+  getUsage(name) {
+    const today = currentDay();
+    const usage = this.usage[name] || { total: 0, day: today, today: 0, lastUsedAt: null };
+
+    if (usage.day !== today) {
+      usage.day = today;
+      usage.today = 0;
+    }
+
+    this.usage[name] = usage;
+    return usage;
+  }
+
+  /**
+   * Check quotas and record usage for a key. All units must fit in the remaining quotas, or none is recorded.
+   * @param {Object} apiKey - Key definition
+   * @param {number} units - Work units the request performs (one per search and per extracted URL)
+   * @returns {Object} { allowed, retryAfter, reason, remainingMinute, remainingDay }
+   */
+  consume(apiKey, units = 1) {
+    const now = Date.now();
+    const usage = this.getUsage(apiKey.name);
+    const window = (this.minuteWindows.get(apiKey.name) || []).filter(timestamp => timestamp > now - 60000);
+    this.minuteWindows.set(apiKey.name, window);
+
+    const { perMinute, perDay } = apiKey.quota;
+    const requested = units === 1 ? '' : ` (request needs ${units} units)`;
+
+    if (perDay && units > perDay) {
+      return { allowed: false, reason: `Request needs ${units} units, more than the daily quota of ${perDay}`, retryAfter: 86400 };
+    }
+    if (perMinute && units > perMinute) {
+      return { allowed: false, reason: `Request needs ${units} units, more than the per-minute quota of ${perMinute}`, retryAfter: 60 };
+    }
+
+    if (perDay && usage.today + units > perDay) {
+      const midnight = new Date();
+      midnight.setUTCHours(24, 0, 0, 0);
+      return {
+        allowed: false,
+        reason: `Daily quota of ${perDay} requests exceeded${requested}`,
+        retryAfter: Math.ceil((midnight.getTime() - now) / 1000)
+      };
+    }
+
+    if (perMinute && window.length + units > perMinute) {
+      // Wait until enough of the recorded units leave the one-minute window
+      const freedBy = window[window.length + units - perMinute - 1];
+      return {
+        allowed: false,
+        reason: `Per-minute quota of ${perMinute} requests exceeded${requested}`,
+        retryAfter: Math.max(1, Math.ceil((freedBy + 60000 - now) / 1000))
+      };
+    }
+
+    for (let unit = 0; unit < units; unit++) {
+      window.push(now);
+    }
+    usage.total += units;
+    usage.today += units;
+    usage.lastUsedAt = new Date(now).toISOString();
+    this.scheduleFlush();
+
+    return {
+      allowed: true,
+      remainingMinute: perMinute ? perMinute - window.length : null,
+      remainingDay: perDay ? perDay - usage.today : null
+    };
+  }
+
+  /**
+   * Persist usage counters shortly after they change
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), USAGE_FLUSH_DELAY);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write usage counters to disk now
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    try {
+      this.usageStore.save(this.usage);
+    } catch (error) {
+      logger.error(`Failed to persist API key usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Express middleware that requires a valid API key with a scope and charges its quotas before the work starts
+   * @param {string|Function} scope - Required scope, or (req) => scope; null accepts any valid key
+   * @param {number|Function} units - Quota units the request costs, or (req) => units (default 1)
+   * @returns {Function} Express middleware
+   */
+  middleware(scope, units = 1) {
+    return (req, res, next) => {
+      if (!this.required) {
+        return next();
+      }
+
+      const apiKey = this.lookup(req.get(API_KEY_HEADER));
+      if (!apiKey) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: req.get(API_KEY_HEADER) ? 'Invalid API key' : `API key required in the ${API_KEY_HEADER} header`
+        });
+      }
+
+      const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+      if (requiredScope && !this.hasScope(apiKey, requiredScope)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `API key "${apiKey.name}" does not have the "${requiredScope}" scope`
+        });
+      }
+
+      const quota = this.consume(apiKey, typeof units === 'function' ? units(req) : units);
+      if (!quota.allowed) {
+        logger.warn(`API key "${apiKey.name}" over quota: ${quota.reason}`);
+        res.set('Retry-After', String(quota.retryAfter));
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: quota.reason,
+          retryAfter: quota.retryAfter
+        });
+      }
+
+      if (quota.remainingMinute !== null) res.set('X-RateLimit-Remaining-Minute', String(quota.remainingMinute));
+      if (quota.remainingDay !== null) res.set('X-RateLimit-Remaining-Day', String(quota.remainingDay));
+
+      req.apiKey = apiKey;
+      next();
+    };
+  }
+
+  /**
+   * Usage counters and quotas for every key (no secrets)
+   * @returns {Array} Per-key statistics
+   */
+  getStats() {
+    return Array.from(this.keys.values()).map(apiKey => ({
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      quota: apiKey.quota,
+      usage: this.getUsage(apiKey.name),
+      requestsLastMinute: (this.minuteWindows.get(apiKey.name) || []).filter(timestamp => timestamp > Date.now() - 60000).length
+    }));
+  }
+}
+
+// Singleton instance
+const apiKeyManager = new ApiKeyManager();
+
+/**
+ * Shorthand for apiKeyManager.middleware(scope, units)
+ * @param {string|Function} scope - Required scope
+ * @param {number|Function} units - Quota units the request costs
+ * @returns {Function} Express middleware
+ */
+function requireApiKey(scope, units) {
+  return apiKeyManager.middleware(scope, units);
+}
+
+module.exports = {
+  ApiKeyManager,
+  apiKeyManager,
+  requireApiKey,
+  hashKey,
+  API_KEY_HEADER,
+  API_KEY_SCOPES
+};
@@ -0,0 +1,315 @@
+/**
+ * Shared Playwright Browser Pool
+ * Leases isolated browser contexts from long-lived Chromium instances instead of launching per call
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { recordBrowserLaunch } = require('./metrics');
+const { withSpan } = require('./tracing');
+const { createLogger, runDetached } = require('./logger');
+
+const logger = createLogger('browser-pool');
+
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxBrowsersPerProfile = options.maxBrowsersPerProfile || parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser || parseInt(process.env.BROWSER_MAX_PAGES) || 100;
+    this.maxMemoryMb = options.maxMemoryMb || parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 1024;
+    this.idleTimeout = options.idleTimeout || parseInt(process.env.BROWSER_IDLE_TIMEOUT) || 300000; // 5 minutes
+    this.entries = [];
+    this.nextId = 1;
+    this.stats = {
+      launches: 0,
+      launchFailures: 0,
+      recycles: 0,
+      crashes: 0,
+      leases: 0
+    };
+  }
+
+  /**
+   * Build the key that groups browsers launched with identical options
+   * @param {Object} launchOptions - chromium.launch options
+   * @returns {string} Profile key
+   */
+  getProfileKey(launchOptions) {
+    return JSON.stringify({
+      headless: launchOptions.headless !== false,
+      args: launchOptions.args || []
+    });
+  }
+
+  /**
+   * Lease an isolated browser context
+   * @param {Object} launchOptions - chromium.launch options (headless, args, timeout)
+   * @param {Object} contextOptions - browser.newContext options
+   * @returns {Object} Lease with { browser, context, release }
+   */
+  async acquire(launchOptions = {}, contextOptions = {}) {
+    const key = this.getProfileKey(launchOptions);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const entry = this.selectEntry(key, launchOptions);
+      entry.activeLeases++;
+      clearTimeout(entry.idleTimer);
+
+      try {
+        const browser = await entry.ready;
+        const context = await browser.newContext(contextOptions);
+        context.on('page', () => {
+          entry.pagesServed++;
+        });
+
+        this.stats.leases++;
+        return this.createLease(entry, browser, context);
+      } catch (error) {
+        entry.activeLeases--;
+
+        // A crashed browser is dropped and relaunched once; other errors are final
+        if (entry.launched && !entry.browser.isConnected() && attempt === 0) {
+          logger.warn(`Browser #${entry.id} unusable (${error.message}), relaunching...`);
+          this.retire(entry, true);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Pick the least busy healthy browser for a profile, launching one if needed
+   * @param {string} key - Profile key
+   * @param {Object} launchOptions - chromium.launch options
+   * @returns {Object} Pool entry
+   */
+  selectEntry(key, launchOptions) {
+    const candidates = this.entries
+      .filter(entry => entry.key === key && !entry.retiring)
+      .sort((a, b) => a.activeLeases - b.activeLeases);
+
+    const leastBusy = candidates[0];
+    if (leastBusy && (leastBusy.activeLeases === 0 || candidates.length >= this.maxBrowsersPerProfile)) {
+      return leastBusy;
+    }
+
+    return this.launch(key, launchOptions);
+  }
+
+  /**
+   * Launch a new browser and register it in the pool
+   * @param {string} key - Profile key
+   * @param {Object} launchOptions - chromium.launch options
+   * @returns {Object} Pool entry (browser available through entry.ready)
+   */
+  launch(key, launchOptions) {
+    const entry = {
+      id: this.nextId++,
+      key,
+      headless: launchOptions.headless !== false,
+      browser: null,
+      launched: false,
+      retiring: false,
+      activeLeases: 0,
+      pagesServed: 0,
+      launchedAt: null,
+      idleTimer: null
+    };
+
+    logger.info(`Launching pooled browser #${entry.id}...`);
+    const attributes = { 'browser.id': entry.id, 'browser.headless': entry.headless };
+    entry.ready = withSpan('browser.launch', attributes, () => chromium.launch({ headless: true, ...launchOptions })).then(browser => {
+      entry.browser = browser;
+      entry.launched = true;
+      entry.launchedAt = Date.now();
+      this.stats.launches++;
+      recordBrowserLaunch(true);
+
+      // Pool upkeep is not part of the request that launched the browser
+      browser.on('disconnected', () => runDetached(() => {
+        if (!entry.retiring) {
+          logger.warn(`Pooled browser #${entry.id} disconnected unexpectedly`);
+          this.stats.crashes++;
+          this.retire(entry, false);
+        }
+      }));
+
+      logger.info(`Pooled browser #${entry.id} launched`);
+      return browser;
+    }).catch(error => {
+      this.stats.launchFailures++;
+      recordBrowserLaunch(false);
+      this.entries = this.entries.filter(candidate => candidate !== entry);
+      logger.error(`Failed to launch pooled browser #${entry.id}: ${error.message}`);
+      throw error;
+    });
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Wrap a context so releasing it returns capacity to the pool
+   * @param {Object} entry - Pool entry
+   * @param {Object} browser - Playwright browser
+   * @param {Object} context - Playwright browser context
+   * @returns {Object} Lease
+   */
+  createLease(entry, browser, context) {
+    let released = false;
+
+    return {
+      browser,
+      context,
+      release: async () => {
+        if (released) return;
+        released = true;
+
+        await context.close().catch(() => {});
+        entry.activeLeases--;
+        await this.checkRecycle(entry);
+      }
+    };
+  }
+
+  /**
+   * Retire a browser that served too many pages or uses too much memory
+   * @param {Object} entry - Pool entry
+   */
+  async checkRecycle(entry) {
+    if (!entry.retiring) {
+      if (entry.pagesServed >= this.maxPagesPerBrowser) {
+        logger.info(`Recycling browser #${entry.id} after ${entry.pagesServed} pages`);
+        this.stats.recycles++;
+        this.retire(entry, false);
+      } else {
+        const memoryMb = await this.getMemoryUsageMb(entry);
+        if (memoryMb !== null && memoryMb > this.maxMemoryMb) {
+          logger.info(`Recycling browser #${entry.id} using ${memoryMb}MB (limit: ${this.maxMemoryMb}MB)`);
+          this.stats.recycles++;
+          this.retire(entry, false);
+        }
+      }
+    }
+
+    if (entry.retiring) {
+      if (entry.activeLeases === 0) {
+        await this.closeEntry(entry);
+      }
+    } else if (entry.activeLeases === 0) {
+      entry.idleTimer = runDetached(() => setTimeout(() => {
+        logger.info(`Closing idle browser #${entry.id}`);
+        this.retire(entry, true);
+      }, this.idleTimeout));
+      entry.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Stop handing out a browser; close it once its leases are released
+   * @param {Object} entry - Pool entry
+   * @param {boolean} force - Close immediately even if leases are active
+   */
+  retire(entry, force) {
+    entry.retiring = true;
+    clearTimeout(entry.idleTimer);
+
+    if (force || entry.activeLeases === 0) {
+      this.closeEntry(entry);
+    }
+  }
+
+  /**
+   * Close a browser and remove it from the pool
+   * @param {Object} entry - Pool entry
+   */
+  async closeEntry(entry) {
+    entry.retiring = true;
+    this.entries = this.entries.filter(candidate => candidate !== entry);
+
+    if (entry.browser && entry.browser.isConnected()) {
+      await entry.browser.close().catch(error => {
+        logger.error(`Failed to close browser #${entry.id}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Measure the resident memory of all Chromium processes of a browser.
+   * Uses the CDP process list and /proc, so it only works for Chromium on Linux.
+   * @param {Object} entry - Pool entry
+   * @returns {number|null} Memory in MB, or null if it cannot be measured
+   */
+  async getMemoryUsageMb(entry) {
+    if (!entry.browser || process.platform !== 'linux') return null;
+
+    try {
+      const session = await entry.browser.newBrowserCDPSession();
+      const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+      await session.detach().catch(() => {});
+
+      let totalKb = 0;
+      for (const info of processInfo) {
+        const status = fs.readFileSync(`/proc/${info.id}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+        if (match) totalKb += parseInt(match[1]);
+      }
+      return Math.round(totalKb / 1024);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Close every browser in the pool
+   */
+  async closeAll() {
+    const entries = [...this.entries];
+    entries.forEach(entry => clearTimeout(entry.idleTimer));
+    await Promise.all(entries.map(entry => this.closeEntry(entry)));
+    logger.info(`Closed ${entries.length} pooled browsers`);
+  }
+
+  /**
+   * Count pages open in every pooled browser
+   * @returns {number} Open pages
+   */
+  countOpenPages() {
+    return this.entries
+      .filter(entry => entry.browser && entry.browser.isConnected())
+      .reduce((sum, entry) => sum + entry.browser.contexts().reduce((pages, context) => pages + context.pages().length, 0), 0);
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      browsers: this.entries.length,
+      activeLeases: this.entries.reduce((sum, entry) => sum + entry.activeLeases, 0),
+      maxBrowsersPerProfile: this.maxBrowsersPerProfile,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      maxMemoryMb: this.maxMemoryMb,
+      instances: this.entries.map(entry => ({
+        id: entry.id,
+        headless: entry.headless,
+        launched: entry.launched,
+        retiring: entry.retiring,
+        activeLeases: entry.activeLeases,
+        pagesServed: entry.pagesServed,
+        uptime: entry.launchedAt ? Date.now() - entry.launchedAt : 0
+      }))
+    };
+  }
+}
+
+// Singleton instance
+const browserPool = new BrowserPool();
+
+module.exports = {
+  BrowserPool,
+  browserPool
+};
@@ -0,0 +1,113 @@
+/**
+ * Request Cancellation
+ * An AbortSignal per HTTP request, fired when the client disconnects or the request's time limit passes,
+ * and helpers for the waits and browser work it should interrupt
+ */
+
+require('dotenv').config();
+const { AsyncResource } = require('async_hooks');
+const { RequestAbortedError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('cancellation');
+
+const REQUEST_TIMEOUT_HEADER = 'X-Request-Timeout';
+const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT) || 0; // 0: no server-side limit
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout fires at once for longer delays
+
+/**
+ * Call a listener when a signal fires (at once if it already has)
+ * @param {AbortSignal} signal - Signal, or null
+ * @param {Function} listener - () => void
+ * @returns {Function} Removes the listener
+ */
+function onAbort(signal, listener) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    listener();
+    return () => {};
+  }
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Throw the cancellation reason if the signal has fired
+ * @param {AbortSignal} signal - Signal, or null
+ * @throws {RequestAbortedError} When the request was cancelled
+ */
+function throwIfAborted(signal) {
+  if (signal) signal.throwIfAborted();
+}
+
+/**
+ * Wait, unless the signal fires first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal, or null
+ * @returns {Promise} Resolves after the delay, rejects with the cancellation reason
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const stopWatching = onAbort(signal, () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+    const timer = setTimeout(() => {
+      stopWatching();
+      resolve();
+    }, ms);
+  });
+}
+
+/**
+ * Time limit of a request: REQUEST_TIMEOUT, or the shorter X-Request-Timeout (seconds) sent by the client,
+ * capped at the longest delay setTimeout supports (about 24.8 days)
+ * @param {Object} req - Express request
+ * @returns {number} Milliseconds, 0 for no limit
+ */
+function requestTimeout(req) {
+  const limit = REQUEST_TIMEOUT > 0 ? Math.min(REQUEST_TIMEOUT, MAX_TIMER_DELAY) : 0;
+  const requested = parseFloat(req.get(REQUEST_TIMEOUT_HEADER)) * 1000;
+  if (!(requested > 0)) return limit;
+  return Math.min(requested, limit || MAX_TIMER_DELAY);
+}
+
+/**
+ * Express middleware giving each request an AbortSignal as req.signal. It fires with a RequestAbortedError
+ * when the connection closes before the response is complete, or when the request's time limit passes.
+ * @returns {Function} Express middleware
+ */
+function requestCancellation() {
+  return (req, res, next) => {
+    const controller = new AbortController();
+    const timeoutMs = requestTimeout(req);
+    req.signal = controller.signal;
+
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+      logger.warn(`Request time limit of ${timeoutMs}ms reached, cancelling its work`, { path: req.path });
+      controller.abort(new RequestAbortedError(`Request did not finish within ${timeoutMs}ms`, 'request_timeout'));
+    }, timeoutMs) : null;
+
+    // Bound to the request's context, so the work stopped by the abort logs with its request ID
+    res.on('close', AsyncResource.bind(() => {
+      clearTimeout(timer);
+      if (!res.writableFinished && !controller.signal.aborted) {
+        logger.info('Client disconnected before the response was sent, cancelling its work', { path: req.path });
+        controller.abort(new RequestAbortedError('Client disconnected', 'client_disconnected'));
+      }
+    }));
+    next();
+  };
+}
+
+module.exports = {
+  requestCancellation,
+  onAbort,
+  throwIfAborted,
+  sleep,
+  REQUEST_TIMEOUT_HEADER
+};
@@ -0,0 +1,240 @@
+/**
+ * Circuit Breaker
+ * Tracks the recent outcomes of a search provider and stops calling it while it keeps failing:
+ * closed (calls pass), open (calls rejected until the cooldown ends) and half-open (one probe call decides)
+ */
+
+require('dotenv').config();
+const { CircuitOpenError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('circuit-breaker');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+// Failures that open the circuit at once instead of waiting for the failure rate
+const TRIPPING_KINDS = ['blocked', 'quota_exceeded'];
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - { windowSize, windowMs, minimumRequests, failureRate (0-1), cooldownMs, maxCooldownMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || parseInt(process.env.CIRCUIT_BREAKER_WINDOW) || 10;
+    this.windowMs = options.windowMs || parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS) || 600000; // 10 minutes
+    this.minimumRequests = options.minimumRequests || parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS) || 3;
+    this.failureRate = options.failureRate || (parseInt(process.env.CIRCUIT_BREAKER_FAILURE_RATE) || 50) / 100;
+    this.baseCooldownMs = options.cooldownMs || parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN) || 60000; // 1 minute
+    this.maxCooldownMs = options.maxCooldownMs || parseInt(process.env.CIRCUIT_BREAKER_MAX_COOLDOWN) || 900000; // 15 minutes
+
+    this.state = 'closed';
+    this.outcomes = []; // [{ success, kind, timestamp }], oldest first
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.timesOpened = 0;
+  }
+
+  /**
+   * Run a call through the breaker and record its outcome
+   * @param {Function} fn - async () => value
+   * @returns {*} Value of fn
+   * @throws {CircuitOpenError} When the circuit is open or a half-open probe is already running
+   */
+  async execute(fn) {
+    this.acquire();
+    try {
+      const value = await fn();
+      this.recordSuccess();
+      return value;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Let a call through or reject it. After the cooldown the circuit turns half-open and admits one probe.
+   * @throws {CircuitOpenError} When the call is not allowed
+   */
+  acquire() {
+    if (this.state === 'open' && Date.now() >= this.retryAt) {
+      this.transition('half-open');
+    }
+
+    if (this.state === 'open') {
+      throw new CircuitOpenError(
+        `Circuit open (last failure: ${this.lastFailure.kind}); retrying after ${new Date(this.retryAt).toISOString()}`,
+        { provider: this.name, retryAt: new Date(this.retryAt).toISOString() }
+      );
+    }
+
+    if (this.state === 'half-open') {
+      if (this.probeInFlight) {
+        throw new CircuitOpenError('Circuit half-open; a probe request is already running', { provider: this.name });
+      }
+      this.probeInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful call. A successful probe closes the circuit.
+   */
+  recordSuccess() {
+    this.push({ success: true, kind: null, timestamp: Date.now() });
+    this.consecutiveFailures = 0;
+
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+      this.cooldownMs = this.baseCooldownMs;
+      this.outcomes = this.outcomes.slice(-1);
+      this.transition('closed');
+    }
+  }
+
+  /**
+   * Record a failed call. A failed probe reopens the circuit with a doubled cooldown;
+   * a closed circuit opens on a blocking failure or when the failure rate over the window is reached.
+   * @param {Error} error - Failure, typed by utils/errors.js
+   */
+  recordFailure(error) {
+    const kind = error.kind || 'unknown';
+    this.push({ success: false, kind, timestamp: Date.now() });
+    this.consecutiveFailures++;
+    this.lastFailure = { kind, message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+      this.open();
+      return;
+    }
+
+    if (this.state === 'closed') {
+      const { total, failures } = this.windowCounts();
+      if (TRIPPING_KINDS.includes(kind) || (total >= this.minimumRequests && failures / total >= this.failureRate)) {
+        this.open();
+      }
+    }
+  }
+
+  /**
+   * Forget a call that was cancelled, or held back by a local rate limit, before its outcome was known.
+   * A cancelled probe lets the next call probe.
+   */
+  recordCancellation() {
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Add an outcome and drop those outside the window
+   * @param {Object} outcome - { success, kind, timestamp }
+   */
+  push(outcome) {
+    this.outcomes.push(outcome);
+    this.trim();
+  }
+
+  /**
+   * Keep the last windowSize outcomes from the last windowMs
+   */
+  trim() {
+    const cutoff = Date.now() - this.windowMs;
+    this.outcomes = this.outcomes.filter(outcome => outcome.timestamp > cutoff).slice(-this.windowSize);
+  }
+
+  /**
+   * Outcomes in the window
+   * @returns {Object} { total, failures }
+   */
+  windowCounts() {
+    this.trim();
+    return {
+      total: this.outcomes.length,
+      failures: this.outcomes.filter(outcome => !outcome.success).length
+    };
+  }
+
+  /**
+   * Reject calls until the current cooldown ends
+   */
+  open() {
+    this.openedAt = Date.now();
+    this.retryAt = this.openedAt + this.cooldownMs;
+    this.timesOpened++;
+    this.transition('open');
+  }
+
+  /**
+   * Change state and log the transition
+   * @param {string} state - closed, open or half-open
+   */
+  transition(state) {
+    if (this.state === state) return;
+    const detail = state === 'open' ? ` for ${Math.round(this.cooldownMs / 1000)}s (last failure: ${this.lastFailure.kind})` : '';
+    logger.log(state === 'open' ? 'warn' : 'info', `Circuit for ${this.name}: ${this.state} → ${state}${detail}`, {
+      provider: this.name,
+      circuit: state
+    });
+    this.state = state;
+    if (state === 'closed') {
+      this.openedAt = null;
+      this.retryAt = null;
+    }
+  }
+
+  /**
+   * Current state, as it would be seen by the next call
+   * @returns {string} closed, open or half-open
+   */
+  getState() {
+    if (this.state === 'open' && Date.now() >= this.retryAt) {
+      return 'half-open';
+    }
+    return this.state;
+  }
+
+  /**
+   * State and outcome history for responses and stats
+   * @returns {Object} Breaker report
+   */
+  getStats() {
+    const { total, failures } = this.windowCounts();
+    return {
+      state: this.getState(),
+      windowRequests: total,
+      windowFailures: failures,
+      failureRate: total > 0 ? Math.round((failures / total) * 100) : 0,
+      consecutiveFailures: this.consecutiveFailures,
+      timesOpened: this.timesOpened,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt && this.state === 'open' ? new Date(this.retryAt).toISOString() : null,
+      cooldownMs: this.cooldownMs,
+      lastFailure: this.lastFailure
+    };
+  }
+
+  /**
+   * Close the circuit and forget the history
+   */
+  reset() {
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.transition('closed');
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CIRCUIT_STATES
+};
@@ -0,0 +1,35 @@
+/**
+ * Concurrency Helpers
+ * Run async work over a list with a bounded number of tasks in flight
+ */
+
+/**
+ * Map items through an async worker with at most `limit` workers running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @param {Function} onResult - Optional callback (result, index) invoked as each item finishes
+ * @returns {Array} Results in input order
+ */
+async function mapWithConcurrency(items, limit, worker, onResult = null) {
+  const results = new Array(items.length);
+  const poolSize = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      if (onResult) {
+        onResult(results[index], index);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
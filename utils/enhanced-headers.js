@@ -3,6 +3,10 @@
  * Real browser fingerprints to avoid detection
  */
 
+const { createLogger } = require('./logger');
+
+const logger = createLogger('enhanced-headers');
+
 const browserFingerprints = [
   {
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
@@ -139,9 +143,9 @@ async function createStealthContext(browser, fingerprint = null) {
   
   const headers = generateHeaders(fingerprint);
   
-  console.log(`🎭 Using fingerprint: ${fingerprint.userAgent.substring(0, 50)}...`);
-  console.log(`📱 Viewport: ${fingerprint.viewport.width}x${fingerprint.viewport.height}`);
-  console.log(`🌍 Platform: ${fingerprint.platform}`);
+  logger.debug(`Using fingerprint: ${fingerprint.userAgent.substring(0, 50)}...`);
+  logger.debug(`Viewport: ${fingerprint.viewport.width}x${fingerprint.viewport.height}`);
+  logger.debug(`Platform: ${fingerprint.platform}`);
   
   const context = await browser.newContext({
     userAgent: fingerprint.userAgent,
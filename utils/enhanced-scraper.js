@@ -9,6 +9,9 @@ const { getRandomFingerprint } = require('./enhanced-headers');
 const { createProxyContext, reportProxyFailure, selectHealthyProxy } = require('./proxy-rotation');
 const { rateLimiter } = require('./adaptive-rate-limiter');
 const { searchWithApiFallback } = require('./google-api');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('enhanced-scraper');
 
 class EnhancedScraper {
   constructor() {
@@ -44,7 +47,7 @@ class EnhancedScraper {
       await rateLimiter.waitForNextRequest();
     }
 
-    console.log(`🔍 Enhanced search using Google API: "${query}" (limit: ${limit})`);
+    logger.info(`Enhanced search using Google API: "${query}" (limit: ${limit})`);
     
     // Use Google API directly for reliable results
     const { googleAPI } = require('./google-api');
@@ -62,7 +65,7 @@ class EnhancedScraper {
         throw new Error('Google API not configured or quota exceeded');
       }
     } catch (error) {
-      console.error(`❌ Enhanced Google search failed: ${error.message}`);
+      logger.error(`Enhanced Google search failed: ${error.message}`);
       throw error;
     }
   }
@@ -0,0 +1,215 @@
+/**
+ * Error Types
+ * Errors that carry an HTTP status so routes can map them to responses,
+ * and the typed failures search providers throw (blocked, timeout, quota exceeded, network, parse failure)
+ */
+
+/**
+ * Raised when the global work queue has no room for another task
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} retryAfter - Suggested wait before retrying, in seconds
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Raised when a URL is rejected by the SSRF protection policy
+ */
+class UrlPolicyError extends Error {
+  /**
+   * @param {string} message - Error message including the reason
+   * @param {string} url - Rejected URL
+   */
+  constructor(message, url) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.statusCode = 403;
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when the work of a request is cancelled because the client disconnected or its time limit passed,
+ * or the work of a job because it was cancelled or interrupted at shutdown
+ */
+class RequestAbortedError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} kind - 'client_disconnected', 'request_timeout' or 'job_cancelled'
+   */
+  constructor(message, kind) {
+    super(message);
+    this.name = 'RequestAbortedError';
+    this.kind = kind;
+    this.statusCode = kind === 'request_timeout' ? 504 : 499;
+  }
+}
+
+/**
+ * Base class of search provider failures.
+ * `kind` identifies the failure for fail-over decisions, attempt reports and circuit breakers.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { provider, cause }
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = 'unknown';
+    this.provider = options.provider || null;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+/**
+ * The engine answered with a CAPTCHA, an "unusual traffic" page or another block
+ */
+class BlockedError extends ProviderError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'BlockedError';
+    this.kind = 'blocked';
+  }
+}
+
+/**
+ * A navigation, selector wait or API request took too long
+ */
+class TimeoutError extends ProviderError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.kind = 'timeout';
+  }
+}
+
+/**
+ * The provider's request quota is used up
+ */
+class QuotaExceededError extends ProviderError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { provider, cause, resetsAt }
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'QuotaExceededError';
+    this.kind = 'quota_exceeded';
+    this.resetsAt = options.resetsAt || null;
+  }
+}
+
+/**
+ * The engine could not be reached (DNS, connection, TLS or 5xx response)
+ */
+class NetworkError extends ProviderError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.kind = 'network';
+  }
+}
+
+/**
+ * The page or response did not have the expected structure (no search box, no result containers, invalid JSON)
+ */
+class ParseFailureError extends ProviderError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ParseFailureError';
+    this.kind = 'parse_failure';
+  }
+}
+
+/**
+ * The provider's circuit breaker is open, so the provider was not called
+ */
+class CircuitOpenError extends ProviderError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { provider, retryAt }
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'CircuitOpenError';
+    this.kind = 'circuit_open';
+    this.retryAt = options.retryAt || null;
+  }
+}
+
+/**
+ * The local rate limiter would have to hold the request back and the caller asked to fail fast instead of waiting
+ */
+class RateLimitError extends ProviderError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { provider, limiter, retryAfter (seconds) }
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.kind = 'rate_limited';
+    this.statusCode = 429;
+    this.limiter = options.limiter || null;
+    this.retryAfter = options.retryAfter || 1;
+  }
+}
+
+/**
+ * Wrap any error thrown while searching into a typed provider error.
+ * Errors that are already typed, and cancellations (not a provider failure), are returned as they are.
+ * @param {Error} error - Original error
+ * @param {string} provider - Provider name
+ * @param {string} context - Prefix for the message of wrapped errors
+ * @returns {ProviderError|RequestAbortedError} Typed error with the original as `cause`
+ */
+function toProviderError(error, provider, context) {
+  if (error instanceof RequestAbortedError) {
+    return error;
+  }
+  if (error instanceof ProviderError) {
+    if (!error.provider) error.provider = provider;
+    return error;
+  }
+
+  const message = context ? `${context}: ${error.message}` : error.message;
+  const options = { provider, cause: error };
+
+  // Playwright and node-fetch timeouts
+  if (error.name === 'TimeoutError' || error.type === 'request-timeout') {
+    return new TimeoutError(message, options);
+  }
+  // node-fetch system errors and Chromium net::ERR_* navigation failures
+  if (error.type === 'system' || /^E[A-Z]+$/.test(error.code || '') || /net::ERR_/.test(error.message)) {
+    return /net::ERR_TIMED_OUT/.test(error.message) ? new TimeoutError(message, options) : new NetworkError(message, options);
+  }
+  if (error instanceof SyntaxError || error.type === 'invalid-json') {
+    return new ParseFailureError(message, options);
+  }
+  return new ProviderError(message, options);
+}
+
+module.exports = {
+  QueueFullError,
+  UrlPolicyError,
+  RequestAbortedError,
+  ProviderError,
+  BlockedError,
+  TimeoutError,
+  QuotaExceededError,
+  NetworkError,
+  ParseFailureError,
+  CircuitOpenError,
+  RateLimitError,
+  toProviderError
+};
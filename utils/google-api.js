@@ -1,19 +1,132 @@
 /**
  * Google Custom Search API Integration
- * Official API as reliable fallback to avoid blocks
+ * Official API as reliable fallback to avoid blocks.
+ * Supports several API key / search engine ID pairs, rotated when one runs out of quota;
+ * usage is persisted and resets at midnight Pacific time, like Google's own quota.
+ * Each request is counted before it is sent, under a lock on the usage file; that lock only
+ * coordinates instances sharing one local disk.
  */
 
 require('dotenv').config();
 const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { normalizeUrl } = require('./search-results');
+const { JsonStore } = require('./json-store');
+const { ProviderError, QuotaExceededError, NetworkError, toProviderError } = require('./errors');
+const { throwIfAborted } = require('./cancellation');
+const { createLogger, addSecret } = require('./logger');
+
+const logger = createLogger('google-api');
+
+const RESULTS_PER_PAGE = 10; // Custom Search API maximum per request
+const MAX_RESULTS = 100; // The API never returns results past position 100
+const DEFAULT_DAILY_LIMIT = parseInt(process.env.GOOGLE_API_DAILY_LIMIT) || 100; // Free tier limit
+const QUOTA_TIME_ZONE = 'America/Los_Angeles'; // Google resets Custom Search quota at midnight Pacific time
+
+/**
+ * Wall-clock date and time of an instant in the quota time zone
+ * @param {Date} date - Instant
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function pacificParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const values = {};
+  for (const { type, value } of parts) {
+    if (type !== 'literal') values[type] = parseInt(value);
+  }
+  return values;
+}
+
+/**
+ * Current quota day (Pacific time)
+ * @param {Date} now - Reference time
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function quotaDay(now = new Date()) {
+  const { year, month, day } = pacificParts(now);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Next quota reset (midnight Pacific time)
+ * @param {Date} now - Reference time
+ * @returns {Date} Reset time
+ */
+function nextQuotaReset(now = new Date()) {
+  const offsetAt = date => {
+    const { year, month, day, hour, minute, second } = pacificParts(date);
+    return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+  };
+  const { year, month, day } = pacificParts(now);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+  // Use the UTC offset in effect at midnight itself, which differs from now's on daylight saving days
+  const estimate = new Date(midnight - offsetAt(now));
+  return new Date(midnight - offsetAt(estimate));
+}
+
+/**
+ * Whether an API error means the key's quota is used up
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed error body
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(status, body) {
+  const error = (body && body.error) || {};
+  const reasons = (error.errors || []).map(entry => entry.reason);
+  return status === 429
+    || error.status === 'RESOURCE_EXHAUSTED'
+    || reasons.some(reason => ['dailyLimitExceeded', 'rateLimitExceeded', 'quotaExceeded', 'userRateLimitExceeded'].includes(reason));
+}
 
 class GoogleSearchAPI {
-  constructor() {
-    this.apiKey = process.env.GOOGLE_API_KEY;
-    this.searchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID;
+  /**
+   * @param {Object} options - { credentials: [{ name, apiKey, searchEngineId, dailyLimit }], usageStore }
+   */
+  constructor(options = {}) {
     this.baseUrl = 'https://www.googleapis.com/customsearch/v1';
-    this.requestCount = 0;
-    this.dailyLimit = 100; // Free tier limit
-    this.lastResetDate = new Date().toDateString();
+    this.credentials = this.loadCredentials(options.credentials);
+    this.usageStore = options.usageStore || new JsonStore(process.env.GOOGLE_API_USAGE_FILE || 'google-api-usage.json');
+    this.usage = this.usageStore.load({});
+  }
+
+  /**
+   * Load key / engine pairs from options, GOOGLE_API_CREDENTIALS (JSON array)
+   * or GOOGLE_API_KEY + GOOGLE_SEARCH_ENGINE_ID
+   * @param {Array} credentials - Optional explicit credentials
+   * @returns {Array} Credentials in rotation order
+   */
+  loadCredentials(credentials) {
+    let definitions = credentials;
+
+    if (!definitions && process.env.GOOGLE_API_CREDENTIALS) {
+      definitions = JSON.parse(process.env.GOOGLE_API_CREDENTIALS);
+    } else if (!definitions && process.env.GOOGLE_API_KEY && process.env.GOOGLE_SEARCH_ENGINE_ID) {
+      definitions = [{ apiKey: process.env.GOOGLE_API_KEY, searchEngineId: process.env.GOOGLE_SEARCH_ENGINE_ID }];
+    }
+
+    const loaded = (definitions || []).map(definition => {
+      if (!definition.apiKey || !definition.searchEngineId) {
+        throw new Error('Each Google API credential needs an "apiKey" and a "searchEngineId"');
+      }
+      addSecret(definition.apiKey);
+      return {
+        // Usage is stored under the name, so the raw key never reaches disk
+        name: definition.name || `key-${crypto.createHash('sha256').update(definition.apiKey).digest('hex').slice(0, 8)}`,
+        apiKey: definition.apiKey,
+        searchEngineId: definition.searchEngineId,
+        dailyLimit: parseInt(definition.dailyLimit) || DEFAULT_DAILY_LIMIT
+      };
+    });
+
+    if (loaded.length > 1) {
+      logger.info(`Loaded ${loaded.length} Google API credentials for rotation`);
+    }
+    return loaded;
   }
 
   /**
@@ -21,55 +134,233 @@ class GoogleSearchAPI {
    * @returns {boolean} True if API is configured
    */
   isConfigured() {
-    return !!(this.apiKey && this.searchEngineId);
+    return this.credentials.length > 0;
+  }
+
+  /**
+   * Combined daily limit of every credential
+   * @returns {number} Requests per day
+   */
+  get dailyLimit() {
+    return this.credentials.reduce((total, credential) => total + credential.dailyLimit, 0);
+  }
+
+  /**
+   * Requests made today with every credential
+   * @returns {number} Requests
+   */
+  get requestCount() {
+    return this.credentials.reduce((total, credential) => total + this.getUsage(credential.name).requests, 0);
+  }
+
+  /**
+   * Reload usage from disk so counters written by other instances are seen
+   */
+  reloadUsage() {
+    this.usage = this.usageStore.load(this.usage);
+  }
+
+  /**
+   * Get (and roll over) today's usage record of a credential
+   * @param {string} name - Credential name
+   * @returns {Object} { day, requests, exhausted, lastUsedAt, lastError }
+   */
+  getUsage(name) {
+    const today = quotaDay();
+    const usage = this.usage[name];
+
+    if (!usage || usage.day !== today) {
+      this.usage[name] = { day: today, requests: 0, exhausted: false, lastUsedAt: usage ? usage.lastUsedAt : null, lastError: null };
+    }
+    return this.usage[name];
+  }
+
+  /**
+   * Run a change to the usage counters as one read-modify-write of the usage file. The file is locked meanwhile,
+   * so instances sharing the data directory see and keep each other's counts.
+   * @param {Function} change - () => result; reads and changes this.usage
+   * @returns {Promise<*>} Result of change
+   */
+  async withUsage(change) {
+    let applied = false;
+    let result;
+    try {
+      return await this.usageStore.update({}, usage => {
+        this.usage = usage;
+        result = change();
+        applied = true;
+        return result;
+      });
+    } catch (error) {
+      logger.error(`Failed to persist Google API usage: ${error.message}`);
+      // Keep counting in memory when the file cannot be used
+      return applied ? result : change();
+    }
+  }
+
+  /**
+   * Update a credential's usage on disk
+   * @param {string} name - Credential name
+   * @param {Function} update - (usage) => void
+   */
+  async updateUsage(name, update) {
+    await this.withUsage(() => update(this.getUsage(name)));
+  }
+
+  /**
+   * Take one request from the quota of the first credential that has any left, before the request is made,
+   * so concurrent searches cannot all pass the check and then overshoot the daily limit.
+   * Every request counts against the key's quota, including failed ones.
+   * @returns {Promise<Object|null>} Credential, or null when every credential is out of quota
+   */
+  async reserveCredential() {
+    return this.withUsage(() => {
+      const credential = this.nextCredential();
+      if (credential) {
+        const usage = this.getUsage(credential.name);
+        usage.requests++;
+        usage.lastUsedAt = new Date().toISOString();
+      }
+      return credential;
+    });
+  }
+
+  /**
+   * First credential in rotation order with quota left today
+   * @returns {Object|null} Credential
+   */
+  nextCredential() {
+    return this.credentials.find(credential => {
+      const usage = this.getUsage(credential.name);
+      return !usage.exhausted && usage.requests < credential.dailyLimit;
+    }) || null;
   }
 
   /**
    * Check if we're within daily API limits
-   * @returns {boolean} True if within limits
+   * @returns {boolean} True if any credential has quota left
    */
   isWithinLimits() {
-    const today = new Date().toDateString();
-    
-    // Reset counter if it's a new day
-    if (this.lastResetDate !== today) {
-      this.requestCount = 0;
-      this.lastResetDate = today;
-    }
-    
-    return this.requestCount < this.dailyLimit;
+    this.reloadUsage();
+    return this.nextCredential() !== null;
   }
 
   /**
-   * Search using Google Custom Search API
+   * Search using Google Custom Search API.
+   * Results beyond the first 10 are fetched page by page with the `start` parameter;
+   * every page counts as one request against the daily quota, and results repeated across pages are dropped.
    * @param {string} query - Search query
-   * @param {number} limit - Number of results (max 10 per request)
-   * @param {Object} options - Additional search options
+   * @param {number} limit - Number of results (max 100)
+   * @param {Object} options - { offset, signal: aborts the pending request when the search is cancelled } plus additional API parameters
    * @returns {Array} Array of search results
+   * @throws {RequestAbortedError} When the search is cancelled
    */
   async search(query, limit = 10, options = {}) {
     if (!this.isConfigured()) {
-      throw new Error('Google Custom Search API not configured. Set GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID environment variables.');
+      throw new ProviderError('Google Custom Search API not configured. Set GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID environment variables.', { provider: 'google-api' });
     }
 
     if (!this.isWithinLimits()) {
-      throw new Error(`Daily API limit of ${this.dailyLimit} requests reached. Resets at midnight.`);
+      throw this.quotaExceededError();
     }
 
-    // Google Custom Search API has a max of 10 results per request
-    const num = Math.min(limit, 10);
-    
+    const { offset = 0, signal, ...apiOptions } = options;
+    const wanted = Math.min(limit, MAX_RESULTS);
+    const results = [];
+    const seen = new Set();
+    let start = offset + 1;
+
+    while (results.length < wanted && start <= MAX_RESULTS) {
+      if (!this.isWithinLimits()) {
+        logger.warn(`Daily API limit reached after ${results.length} results, returning partial page set`);
+        break;
+      }
+
+      const num = Math.min(RESULTS_PER_PAGE, wanted - results.length, MAX_RESULTS - start + 1);
+      let page;
+      try {
+        page = await this.searchPage(query, start, num, apiOptions, signal);
+      } catch (error) {
+        // Keep the pages already fetched; fail only if nothing was returned or the search was cancelled
+        throwIfAborted(signal);
+        if (results.length === 0) throw error;
+        logger.warn(`Stopping pagination after ${results.length} results: ${error.message}`);
+        break;
+      }
+
+      for (const result of page.results) {
+        const key = normalizeUrl(result.url);
+        if (!seen.has(key) && results.length < wanted) {
+          seen.add(key);
+          results.push(result);
+        }
+      }
+
+      if (!page.hasNextPage || page.results.length < num) {
+        break;
+      }
+      start += num;
+    }
+
+    logger.info(`Google API returned ${results.length} results`);
+    logger.info(`API usage: ${this.requestCount}/${this.dailyLimit} requests today`);
+
+    return results;
+  }
+
+  /**
+   * Fetch one page of Custom Search API results, moving to the next credential
+   * when the current one is out of quota. The request is counted before it is made (see reserveCredential()).
+   * @param {string} query - Search query
+   * @param {number} start - 1-based index of the first result
+   * @param {number} num - Number of results (max 10)
+   * @param {Object} options - Additional API parameters
+   * @param {AbortSignal} signal - Request cancellation
+   * @returns {Object} { results, hasNextPage }
+   */
+  async searchPage(query, start, num, options = {}, signal = null) {
+    let credential;
+    while ((credential = await this.reserveCredential())) {
+      const page = await this.requestPage(credential, query, start, num, options, signal);
+      if (page) return page;
+    }
+    throw this.quotaExceededError();
+  }
+
+  /**
+   * Error raised once every credential is out of quota
+   * @returns {QuotaExceededError} Error with the next reset time
+   */
+  quotaExceededError() {
+    return new QuotaExceededError(
+      `Daily API quota used up on every key (${this.dailyLimit} requests). Resets at midnight Pacific time.`,
+      { provider: 'google-api', resetsAt: nextQuotaReset().toISOString() }
+    );
+  }
+
+  /**
+   * Make one Custom Search API request with a credential
+   * @param {Object} credential - Credential to use
+   * @param {string} query - Search query
+   * @param {number} start - 1-based index of the first result
+   * @param {number} num - Number of results (max 10)
+   * @param {Object} options - Additional API parameters
+   * @param {AbortSignal} signal - Request cancellation
+   * @returns {Object|null} { results, hasNextPage }, or null if the credential turned out to be out of quota
+   */
+  async requestPage(credential, query, start, num, options = {}, signal = null) {
     const params = new URLSearchParams({
-      key: this.apiKey,
-      cx: this.searchEngineId,
+      key: credential.apiKey,
+      cx: credential.searchEngineId,
       q: query,
       num: num.toString(),
+      start: start.toString(),
       ...options
     });
 
     const url = `${this.baseUrl}?${params}`;
     
-    console.log(`🔍 Google API search: "${query}" (${num} results)`);
+    logger.info(`Google API search with ${credential.name}: "${query}" (results ${start}-${start + num - 1})`);
     
     try {
       const response = await fetch(url, {
@@ -77,41 +368,63 @@ class GoogleSearchAPI {
           'User-Agent': 'Mozilla/5.0 (compatible; GoogleSearchAPI/1.0)',
           'Accept': 'application/json'
         },
-        timeout: 10000
+        timeout: 10000,
+        signal
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+        let errorBody = null;
+        try {
+          errorBody = JSON.parse(errorText);
+        } catch {
+          // Not JSON; keep the raw text for the error message
+        }
+
+        if (isQuotaError(response.status, errorBody)) {
+          logger.info(`Google API key ${credential.name} is out of quota, rotating to the next key`);
+          await this.updateUsage(credential.name, usage => {
+            usage.exhausted = true;
+            usage.lastError = `${response.status} ${response.statusText}`;
+          });
+          return null;
+        }
+
+        const RequestError = response.status >= 500 ? NetworkError : ProviderError;
+        throw new RequestError(`API request failed: ${response.status} ${response.statusText} - ${errorText}`, { provider: 'google-api' });
       }
 
       const data = await response.json();
-      this.requestCount++;
       
       // Check for API errors
       if (data.error) {
-        throw new Error(`Google API Error: ${data.error.message} (Code: ${data.error.code})`);
+        throw new ProviderError(`Google API Error: ${data.error.message} (Code: ${data.error.code})`, { provider: 'google-api' });
       }
 
-      const results = this.formatResults(data);
-      
-      console.log(`✅ Google API returned ${results.length} results`);
-      console.log(`📊 API usage: ${this.requestCount}/${this.dailyLimit} requests today`);
-      
-      return results;
+      return {
+        results: this.formatResults(data, start),
+        hasNextPage: !!(data.queries && data.queries.nextPage)
+      };
 
     } catch (error) {
-      console.error(`❌ Google API search failed: ${error.message}`);
-      throw error;
+      // node-fetch rejects with an AbortError; report the cancellation instead
+      throwIfAborted(signal);
+
+      logger.error(`Google API search failed: ${error.message}`);
+      await this.updateUsage(credential.name, usage => {
+        usage.lastError = error.message;
+      });
+      throw toProviderError(error, 'google-api', 'Google API request failed');
     }
   }
 
   /**
    * Format API results to match scraper format
    * @param {Object} apiResponse - Raw API response
+   * @param {number} start - 1-based index of the first result on this page
    * @returns {Array} Formatted results
    */
-  formatResults(apiResponse) {
+  formatResults(apiResponse, start = 1) {
     if (!apiResponse.items) {
       return [];
     }
@@ -121,13 +434,16 @@ class GoogleSearchAPI {
       url: item.link || '',
       snippet: item.snippet || '',
       displayLink: item.displayLink || '',
-      position: index + 1,
+      position: start + index,
       source: 'Google API',
       // Additional metadata from API
       htmlTitle: item.htmlTitle,
       htmlSnippet: item.htmlSnippet,
       formattedUrl: item.formattedUrl,
-      pagemap: item.pagemap || {}
+      pagemap: item.pagemap || {},
+      // Image search only: dimensions, thumbnail and the page containing the image
+      mime: item.mime,
+      image: item.image
     }));
   }
 
@@ -135,25 +451,14 @@ class GoogleSearchAPI {
    * Search with image results
    * @param {string} query - Search query
    * @param {number} limit - Number of results
+   * @param {Object} options - Additional search options (override the safe search default)
    * @returns {Array} Array of image results
    */
-  async searchImages(query, limit = 10) {
+  async searchImages(query, limit = 10, options = {}) {
     return this.search(query, limit, {
       searchType: 'image',
-      safe: 'active'
-    });
-  }
-
-  /**
-   * Search news results
-   * @param {string} query - Search query
-   * @param {number} limit - Number of results
-   * @returns {Array} Array of news results
-   */
-  async searchNews(query, limit = 10) {
-    return this.search(query, limit, {
-      tbm: 'nws',
-      sort: 'date'
+      safe: 'active',
+      ...options
     });
   }
 
@@ -162,19 +467,48 @@ class GoogleSearchAPI {
    * @returns {Object} Usage statistics
    */
   getUsageStats() {
-    const remainingRequests = this.dailyLimit - this.requestCount;
-    const usagePercentage = Math.round((this.requestCount / this.dailyLimit) * 100);
+    const keys = this.getKeyUsage();
+    const requestsUsed = this.requestCount;
+    const remainingRequests = keys.reduce((total, key) => total + key.requestsRemaining, 0);
+    const usagePercentage = this.dailyLimit > 0 ? Math.round((requestsUsed / this.dailyLimit) * 100) : 0;
     
     return {
-      requestsUsed: this.requestCount,
+      requestsUsed,
       requestsRemaining: remainingRequests,
       dailyLimit: this.dailyLimit,
       usagePercentage,
-      resetDate: this.lastResetDate,
+      resetDate: quotaDay(),
+      resetsAt: nextQuotaReset().toISOString(),
+      keys: keys.length,
       isConfigured: this.isConfigured()
     };
   }
 
+  /**
+   * Per-credential usage for today (no secrets)
+   * @returns {Array} Usage of each credential in rotation order
+   */
+  getKeyUsage() {
+    this.reloadUsage();
+    const current = this.nextCredential();
+
+    return this.credentials.map(credential => {
+      const usage = this.getUsage(credential.name);
+      return {
+        name: credential.name,
+        apiKey: `…${credential.apiKey.slice(-4)}`,
+        searchEngineId: credential.searchEngineId,
+        dailyLimit: credential.dailyLimit,
+        requestsUsed: usage.requests,
+        requestsRemaining: usage.exhausted ? 0 : Math.max(0, credential.dailyLimit - usage.requests),
+        exhausted: usage.exhausted || usage.requests >= credential.dailyLimit,
+        active: current !== null && current.name === credential.name,
+        lastUsedAt: usage.lastUsedAt,
+        lastError: usage.lastError
+      };
+    });
+  }
+
   /**
    * Test API connectivity and quota
    * @returns {Object} Test results
@@ -225,39 +559,39 @@ async function searchWithApiFallback(query, limit, scrapingFunction) {
 
   // Try scraping first
   try {
-    console.log('🔧 Attempting scraping method...');
+    logger.info('Attempting scraping method...');
     const scrapingResult = await scrapingFunction(query, limit);
     results = scrapingResult.results || scrapingResult;
     searchEngine = scrapingResult.searchEngine || 'Scraping';
     
     if (results && results.length > 0) {
-      console.log(`✅ Scraping successful: ${results.length} results`);
+      logger.info(`Scraping successful: ${results.length} results`);
       return { results, searchEngine, source: 'scraping' };
     }
   } catch (scrapingError) {
-    console.log(`❌ Scraping failed: ${scrapingError.message}`);
+    logger.warn(`Scraping failed: ${scrapingError.message}`);
     error = scrapingError;
   }
 
   // Fallback to API if scraping failed or no results
   if (googleAPI.isConfigured() && googleAPI.isWithinLimits()) {
     try {
-      console.log('🔄 Falling back to Google Custom Search API...');
+      logger.info('Falling back to Google Custom Search API...');
       results = await googleAPI.search(query, limit);
       searchEngine = 'Google API';
       
       if (results && results.length > 0) {
-        console.log(`✅ API fallback successful: ${results.length} results`);
+        logger.info(`API fallback successful: ${results.length} results`);
         return { results, searchEngine, source: 'api' };
       }
     } catch (apiError) {
-      console.log(`❌ API fallback failed: ${apiError.message}`);
+      logger.warn(`API fallback failed: ${apiError.message}`);
       error = apiError;
     }
   } else if (!googleAPI.isConfigured()) {
-    console.log('⚠️ Google API not configured for fallback');
+    logger.warn('Google API not configured for fallback');
   } else {
-    console.log('⚠️ Google API daily limit reached');
+    logger.warn('Google API daily limit reached');
   }
 
   // If all methods failed, throw the original error
@@ -267,5 +601,7 @@ async function searchWithApiFallback(query, limit, scrapingFunction) {
 module.exports = {
   GoogleSearchAPI,
   googleAPI,
-  searchWithApiFallback
+  searchWithApiFallback,
+  quotaDay,
+  nextQuotaReset
 }; 
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Health Checks
+ * Readiness checks for load balancers and orchestrators: a pooled browser renders an internal page,
+ * the configuration can serve requests and persistent storage accepts writes
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const railwayConfig = require('./railway-config');
+const { DATA_DIR } = require('./json-store');
+const { apiKeyManager } = require('./api-keys');
+const { searchProviders } = require('./search-providers');
+const { resultCache } = require('./result-cache');
+const { checkBrowserRendering } = require('./scraper');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+const READINESS_CHECKS = ['browser', 'config', 'storage'];
+
+class ReadinessChecker {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 15000;
+    this.cacheMs = options.cacheMs !== undefined ? options.cacheMs : (parseInt(process.env.HEALTH_CHECK_CACHE_MS) || 5000);
+    this.lastReport = null;
+    this.running = null;
+  }
+
+  /**
+   * Run every readiness check. Reports are reused for cacheMs and concurrent callers share one run,
+   * so frequent probes do not open a page each time.
+   * @returns {Object} { ready, checkedAt, checks: { browser, config, storage } }
+   */
+  async check() {
+    if (this.lastReport && Date.now() - this.lastReport.finishedAt < this.cacheMs) {
+      return this.lastReport.report;
+    }
+    if (!this.running) {
+      this.running = this.runChecks().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Run the checks in parallel and remember the report
+   * @returns {Object} Readiness report
+   */
+  async runChecks() {
+    const [browser, config, storage] = await Promise.all([
+      this.runCheck('browser', () => this.checkBrowser()),
+      this.runCheck('config', () => this.checkConfig()),
+      this.runCheck('storage', () => this.checkStorage())
+    ]);
+    const checks = { browser, config, storage };
+    const failed = READINESS_CHECKS.filter(name => checks[name].status === 'fail');
+
+    if (failed.length > 0) {
+      logger.warn(`Not ready: ${failed.map(name => `${name} (${checks[name].message})`).join(', ')}`);
+    }
+
+    const report = { ready: failed.length === 0, checkedAt: new Date().toISOString(), checks };
+    this.lastReport = { report, finishedAt: Date.now() };
+    return report;
+  }
+
+  /**
+   * Time one check and turn its outcome into a result
+   * @param {string} name - Check name
+   * @param {Function} fn - async () => { message, details, warnings }; throws when the check fails
+   * @returns {Object} { status: pass | warn | fail, durationMs, message, details }
+   */
+  async runCheck(name, fn) {
+    const startTime = Date.now();
+    try {
+      const { message, details, warnings = [] } = await fn();
+      return {
+        status: warnings.length > 0 ? 'warn' : 'pass',
+        durationMs: Date.now() - startTime,
+        message: warnings.length > 0 ? warnings.join('; ') : message,
+        ...(details ? { details } : {})
+      };
+    } catch (error) {
+      return {
+        status: 'fail',
+        durationMs: Date.now() - startTime,
+        // Playwright appends multi-line install hints; the first line says what failed
+        message: error.message.split('\n')[0],
+        ...(error.details ? { details: error.details } : {})
+      };
+    }
+  }
+
+  /**
+   * A pooled browser opens an internal data: URL and renders it
+   */
+  async checkBrowser() {
+    const { browserVersion } = await checkBrowserRendering(this.timeoutMs);
+    return { message: 'Rendered probe page', details: { browserVersion } };
+  }
+
+  /**
+   * The configuration can serve requests: clients can authenticate, a search provider is usable
+   * and the browser timeouts are valid. Problems that only degrade service are reported as warnings.
+   */
+  async checkConfig() {
+    const problems = [];
+    const warnings = [];
+
+    if (apiKeyManager.required && apiKeyManager.keys.size === 0) {
+      problems.push('REQUIRE_API_KEY=true but no API keys are configured');
+    }
+
+    const providers = searchProviders.defaultOrder.map(name => ({ name, ...searchProviders.get(name).isAvailable() }));
+    if (!providers.some(provider => provider.available)) {
+      problems.push(`No search provider in SEARCH_PROVIDER_ORDER is available (${providers.map(provider => `${provider.name}: ${provider.reason}`).join('; ')})`);
+    }
+
+    const { timeouts } = railwayConfig.getCurrentConfig();
+    for (const [name, value] of Object.entries({ browser: timeouts.browser, navigation: timeouts.navigation })) {
+      if (!Number.isFinite(value) || value <= 0) {
+        problems.push(`Invalid ${name} timeout: ${value}`);
+      }
+    }
+
+    if (!!process.env.GOOGLE_API_KEY !== !!process.env.GOOGLE_SEARCH_ENGINE_ID && !process.env.GOOGLE_API_CREDENTIALS) {
+      warnings.push('Only one of GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID is set; the Google API provider is disabled');
+    }
+
+    const details = {
+      providerOrder: searchProviders.defaultOrder,
+      unavailableProviders: providers.filter(provider => !provider.available).map(({ name, reason }) => ({ name, reason })),
+      apiKeyRequired: apiKeyManager.required,
+      timeouts: { browser: timeouts.browser, navigation: timeouts.navigation },
+      warnings
+    };
+
+    if (problems.length > 0) {
+      const error = new Error(problems.join('; '));
+      error.details = details;
+      throw error;
+    }
+    return { message: 'Configuration valid', details, warnings };
+  }
+
+  /**
+   * The data directory (and the disk cache directory, if used) accepts a write, read and delete
+   */
+  async checkStorage() {
+    const directories = [DATA_DIR];
+    if (resultCache.backend && resultCache.backend.directory) {
+      directories.push(resultCache.backend.directory);
+    }
+
+    for (const directory of directories) {
+      const probeFile = path.join(directory, `.health-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+      const token = new Date().toISOString();
+      try {
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(probeFile, token);
+        if (await fs.promises.readFile(probeFile, 'utf8') !== token) {
+          throw new Error('read back different content');
+        }
+      } catch (error) {
+        const failure = new Error(`${directory} is not writable: ${error.message}`);
+        failure.details = { directories };
+        throw failure;
+      } finally {
+        await fs.promises.unlink(probeFile).catch(() => {});
+      }
+    }
+    return { message: 'Storage writable', details: { directories } };
+  }
+}
+
+// Singleton instance
+const readinessChecker = new ReadinessChecker();
+
+module.exports = {
+  ReadinessChecker,
+  readinessChecker,
+  READINESS_CHECKS
+};
@@ -0,0 +1,342 @@
+/**
+ * Asynchronous Job Manager
+ * Runs long searches and extractions in the background and persists job state to disk
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { JsonStore } = require('./json-store');
+const { RequestAbortedError } = require('./errors');
+const { createLogger, getContext, runWithContext } = require('./logger');
+const { withSpan } = require('./tracing');
+
+const logger = createLogger('job-manager');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore(process.env.JOBS_STORE_FILE || 'jobs.json');
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.retentionMs = (options.retentionHours || parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 3600000;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.queue = [];
+    this.controllers = new Map(); // Job id -> AbortController of the running handler
+    this.running = 0;
+    this.started = false;
+  }
+
+  /**
+   * Register the function that executes jobs of a given type
+   * @param {string} type - Job type (e.g. 'search', 'extract')
+   * @param {Function} handler - async (params, context) => result, where context is
+   *   { jobId, signal: fires when the job is cancelled or interrupted at shutdown, isCancelled(), reportProgress(progress) }
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load persisted jobs and start processing the queue.
+   * Jobs that were running when the server stopped are queued again.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const persisted = this.store.load([]);
+    for (const job of persisted) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.progress = { stage: 'queued', message: 'Requeued after server restart' };
+        job.updatedAt = new Date().toISOString();
+      }
+      this.jobs.set(job.id, job);
+      if (job.status === 'queued') {
+        this.queue.push(job.id);
+      }
+    }
+
+    this.prune();
+    if (persisted.length > 0) {
+      logger.info(`Restored ${persisted.length} jobs (${this.queue.length} queued)`);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Stop starting jobs and wait for running ones to finish. Jobs still running at the deadline
+   * are aborted and put back in the queue, so the next start() runs them again; all jobs are then persisted.
+   * @param {number} timeoutMs - Longest wait for running jobs
+   * @returns {boolean} True if no job had to be requeued
+   */
+  async stop(timeoutMs) {
+    this.started = false;
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.running > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    let requeued = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        // The handler stops its work; whatever it returns is discarded (see run())
+        this.abort(job.id, 'Job interrupted by server shutdown');
+        job.status = 'queued';
+        job.startedAt = null;
+        job.progress = { stage: 'queued', message: 'Requeued at server shutdown' };
+        job.updatedAt = new Date().toISOString();
+        requeued++;
+      }
+    }
+
+    this.persist();
+    const queued = this.queue.length + requeued;
+    logger.info(`Job manager stopped (${queued} jobs queued for the next start${requeued > 0 ? `, ${requeued} interrupted` : ''})`);
+    return requeued === 0;
+  }
+
+  /**
+   * Create and enqueue a new job
+   * @param {string} type - Registered job type
+   * @param {Object} params - Job parameters passed to the handler
+   * @param {string} owner - Name of the API key that created the job (null when auth is disabled)
+   * @returns {Object} Public job representation
+   */
+  create(type, params, owner = null) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      params,
+      owner,
+      requestId: getContext().requestId || null,
+      progress: { stage: 'queued' },
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.persist();
+
+    logger.info(`Job ${job.id} queued (${type})`);
+    this.processQueue();
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} Public job representation
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job.
+   * A running job's signal fires, which stops its search or extraction and frees its browser and queue slot.
+   * @param {string} id - Job id
+   * @returns {Object|null} Public job representation, or null if not found
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      this.finish(job, 'cancelled', { error: 'Job cancelled by client' });
+      this.abort(id, 'Job cancelled by client');
+      logger.info(`Job ${id} cancelled`);
+    }
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Fire the signal of a running job
+   * @param {string} id - Job id
+   * @param {string} message - Cancellation reason
+   */
+  abort(id, message) {
+    const controller = this.controllers.get(id);
+    if (controller && !controller.signal.aborted) {
+      controller.abort(new RequestAbortedError(message, 'job_cancelled'));
+    }
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  processQueue() {
+    if (!this.started) return;
+
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job && job.status === 'queued') {
+        // Log lines of the job carry the ID of the request that created it; its spans form their own trace
+        const attributes = { 'job.id': job.id, 'job.type': job.type, 'request.id': job.requestId || '' };
+        runWithContext({ requestId: job.requestId || undefined, jobId: job.id }, () =>
+          withSpan('job', attributes, async span => {
+            await this.run(job);
+            span.setAttribute('job.status', job.status);
+          }, { root: true })
+        );
+      }
+    }
+  }
+
+  /**
+   * Execute a single job with its registered handler
+   * @param {Object} job - Internal job record
+   */
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    this.running++;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.progress = { stage: 'running' };
+    this.touch(job);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    const context = {
+      jobId: job.id,
+      signal: controller.signal,
+      isCancelled: () => job.status === 'cancelled',
+      reportProgress: (progress) => {
+        if (job.status !== 'running') return;
+        job.progress = { ...job.progress, ...progress };
+        this.touch(job);
+      }
+    };
+
+    try {
+      logger.info(`Job ${job.id} started (${job.type})`);
+      const result = await handler(job.params, context);
+
+      if (job.status === 'running') {
+        this.finish(job, 'completed', { result });
+        logger.info(`Job ${job.id} completed`);
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        this.finish(job, 'failed', { error: error.message });
+        logger.warn(`Job ${job.id} failed: ${error.message}`);
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Move a job into a terminal state
+   * @param {Object} job - Internal job record
+   * @param {string} status - 'completed', 'failed' or 'cancelled'
+   * @param {Object} fields - result and/or error
+   */
+  finish(job, status, fields = {}) {
+    job.status = status;
+    job.result = fields.result !== undefined ? fields.result : null;
+    job.error = fields.error || null;
+    job.progress = { ...job.progress, stage: status };
+    job.finishedAt = new Date().toISOString();
+    this.touch(job);
+  }
+
+  /**
+   * Update the modification time and persist
+   * @param {Object} job - Internal job record
+   */
+  touch(job) {
+    job.updatedAt = new Date().toISOString();
+    this.persist();
+  }
+
+  /**
+   * Drop finished jobs older than the retention window
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Write all jobs to the store
+   */
+  persist() {
+    try {
+      this.prune();
+      this.store.save(Array.from(this.jobs.values()));
+    } catch (error) {
+      logger.error(`Failed to persist jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public view of a job
+   * @param {Object} job - Internal job record
+   * @returns {Object} Job representation returned by the API
+   */
+  serialize(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      owner: job.owner || null,
+      requestId: job.requestId || null,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Get job counts by status
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return { ...counts, concurrency: this.concurrency };
+  }
+}
+
+// Singleton instance
+const jobManager = new JobManager();
+
+module.exports = {
+  JobManager,
+  jobManager,
+  JOB_STATUSES
+};
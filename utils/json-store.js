@@ -0,0 +1,163 @@
+/**
+ * JSON File Store
+ * Small persistent storage backed by a JSON file in the data directory
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sleep } = require('./cancellation');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('json-store');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const LOCK_TIMEOUT = 2000; // Longest wait for another process to release a lock
+const LOCK_STALE_MS = 10000; // Locks older than this were left by a crashed process
+const LOCK_RETRY_MS = 10; // Pause between attempts to take a lock
+
+class JsonStore {
+  /**
+   * @param {string} fileName - File name inside DATA_DIR, or an absolute path
+   */
+  constructor(fileName) {
+    this.filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+    this.updates = Promise.resolve(); // Chain of pending update() calls
+  }
+
+  /**
+   * Read the stored document
+   * @param {*} defaultValue - Returned when the file does not exist or is unreadable
+   * @returns {*} Parsed JSON document
+   */
+  load(defaultValue = null) {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read ${this.filePath}: ${error.message}`);
+      }
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Write the document atomically (write to a temp file, then rename)
+   * @param {*} data - JSON-serializable document
+   */
+  save(data) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Read, change and write the document while holding a lock file, so processes sharing the data directory
+   * do not overwrite each other's changes. Updates from this process run one after another.
+   * @param {*} defaultValue - Document used when the file does not exist
+   * @param {Function} mutate - (document) => result; changes the document in place
+   * @returns {Promise<*>} Result of mutate
+   * @throws {Error} When the lock cannot be taken within LOCK_TIMEOUT, or the write fails
+   */
+  update(defaultValue, mutate) {
+    const run = this.updates.then(async () => {
+      const release = await this.lock();
+      try {
+        const data = this.load(defaultValue);
+        const result = mutate(data);
+        this.save(data);
+        return result;
+      } finally {
+        release();
+      }
+    });
+    this.updates = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Take the document's lock file (created exclusively), waiting while another process holds it
+   * @returns {Promise<Function>} Releases the lock
+   */
+  async lock() {
+    const lockPath = `${this.filePath}.lock`;
+    const token = `${process.pid}-${crypto.randomUUID()}`;
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, token, { flag: 'wx' });
+        return () => this.unlock(lockPath, token);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      this.removeStaleLock(lockPath);
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Release a lock, unless it was taken over as stale in the meantime
+   * @param {string} lockPath - Lock file
+   * @param {string} token - Owner token written when the lock was taken
+   */
+  unlock(lockPath, token) {
+    try {
+      if (fs.readFileSync(lockPath, 'utf8') === token) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to release ${lockPath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Remove a lock left by a crashed process. The lock is first moved aside (atomically, so only one process
+   * gets it) and only dropped if it is still the stale file; a fresh lock moved by mistake is put back.
+   * @param {string} lockPath - Lock file
+   */
+  removeStaleLock(lockPath) {
+    let stale;
+    try {
+      stale = fs.statSync(lockPath);
+    } catch {
+      return; // Released in the meantime
+    }
+    if (Date.now() - stale.mtimeMs <= LOCK_STALE_MS) return;
+
+    const asidePath = `${lockPath}.${crypto.randomUUID()}`;
+    try {
+      fs.renameSync(lockPath, asidePath);
+    } catch {
+      return; // Another process moved it first
+    }
+
+    const moved = fs.statSync(asidePath);
+    if (moved.ino === stale.ino && moved.mtimeMs === stale.mtimeMs) {
+      logger.warn(`Removed stale lock ${lockPath}`);
+    } else {
+      // Someone else removed the stale lock and took a new one: give it back unless yet another lock exists
+      try {
+        fs.linkSync(asidePath, lockPath);
+      } catch {
+        logger.warn(`Could not restore lock ${lockPath}`);
+      }
+    }
+    fs.rmSync(asidePath, { force: true });
+  }
+}
+
+module.exports = {
+  JsonStore,
+  DATA_DIR
+};
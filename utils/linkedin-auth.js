@@ -1,4 +1,10 @@
-const { chromium } = require('playwright');
+const { browserPool } = require('./browser-pool');
+const { createLogger, addSecret, forgetSecret } = require('./logger');
+
+const logger = createLogger('linkedin-auth');
+
+// Scrapers holding a browser lease, closed together at shutdown
+const openSessions = new Set();
 
 /**
  * LinkedIn authenticated scraper based on legitimate browser automation
@@ -7,30 +13,34 @@ const { chromium } = require('playwright');
 
 class LinkedInAuthenticatedScraper {
   constructor() {
+    this.lease = null;
     this.browser = null;
     this.context = null;
     this.page = null;
     this.isLoggedIn = false;
+    this.credentials = [];
   }
 
   /**
-   * Initialize browser and navigate to LinkedIn
+   * Lease an isolated browser context from the shared pool
    */
   async initialize() {
-    this.browser = await chromium.launch({
+    this.lease = await browserPool.acquire({
       headless: false, // Keep visible for manual login
       args: [
         '--no-sandbox',
         '--disable-setuid-sandbox',
         '--disable-dev-shm-usage'
       ]
-    });
-
-    this.context = await this.browser.newContext({
+    }, {
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
       viewport: { width: 1280, height: 720 }
     });
 
+    openSessions.add(this);
+
+    this.browser = this.lease.browser;
+    this.context = this.lease.context;
     this.page = await this.context.newPage();
   }
 
@@ -41,11 +51,11 @@ class LinkedInAuthenticatedScraper {
   async manualLogin() {
     if (!this.page) await this.initialize();
 
-    console.log('🔗 Opening LinkedIn login page...');
+    logger.info('Opening LinkedIn login page...');
     await this.page.goto('https://www.linkedin.com/login');
     
-    console.log('👤 Please log in manually in the browser window');
-    console.log('⏳ Waiting for you to complete login...');
+    logger.info('Please log in manually in the browser window');
+    logger.info('Waiting for you to complete login...');
     
     // Wait for user to login manually
     await this.page.waitForFunction(() => {
@@ -55,7 +65,7 @@ class LinkedInAuthenticatedScraper {
     }, { timeout: 300000 }); // 5 minute timeout
 
     this.isLoggedIn = true;
-    console.log('✅ Login detected! Ready to scrape.');
+    logger.info('Login detected! Ready to scrape.');
   }
 
   /**
@@ -63,13 +73,17 @@ class LinkedInAuthenticatedScraper {
    * Similar to the GitHub repository approach
    */
   async automaticLogin(email, password) {
+    // Masked in every log line until close()
+    this.credentials = [email, password];
+    this.credentials.forEach(addSecret);
+
     if (!this.page) await this.initialize();
 
-    console.log('🔗 Navigating to LinkedIn login...');
+    logger.info('Navigating to LinkedIn login...');
     await this.page.goto('https://www.linkedin.com/login');
 
     // Fill login form
-    console.log('📝 Filling login credentials...');
+    logger.info('Filling login credentials...');
     await this.page.fill('#username', email);
     await this.page.fill('#password', password);
     
@@ -85,14 +99,14 @@ class LinkedInAuthenticatedScraper {
       }, { timeout: 30000 });
 
       this.isLoggedIn = true;
-      console.log('✅ Automatic login successful!');
+      logger.info('Automatic login successful!');
     } catch (error) {
       // Check for CAPTCHA or 2FA
       const hasCaptcha = await this.page.$('iframe[title*="captcha"]');
       const has2FA = await this.page.$('[data-test-id="challenge"]');
       
       if (hasCaptcha || has2FA) {
-        console.log('🔐 CAPTCHA or 2FA detected. Please complete manually...');
+        logger.info('CAPTCHA or 2FA detected. Please complete manually...');
         await this.page.waitForFunction(() => {
           return window.location.href.includes('linkedin.com/feed') || 
                  window.location.href.includes('linkedin.com/in/');
@@ -112,7 +126,7 @@ class LinkedInAuthenticatedScraper {
       throw new Error('Not logged in. Call manualLogin() or automaticLogin() first.');
     }
 
-    console.log(`📄 Scraping profile: ${profileUrl}`);
+    logger.info(`Scraping profile: ${profileUrl}`);
     await this.page.goto(profileUrl);
 
     // Wait for profile content to load
@@ -167,17 +181,34 @@ class LinkedInAuthenticatedScraper {
   }
 
   /**
-   * Close browser
+   * Release the browser context back to the pool
    */
   async close() {
-    if (this.browser) {
-      await this.browser.close();
+    this.credentials.forEach(forgetSecret);
+    this.credentials = [];
+    openSessions.delete(this);
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
       this.browser = null;
       this.context = null;
       this.page = null;
       this.isLoggedIn = false;
     }
   }
+
+  /**
+   * Close every open LinkedIn session (used at shutdown)
+   */
+  static async closeAll() {
+    const sessions = [...openSessions];
+    await Promise.all(sessions.map(session => session.close().catch(error => {
+      logger.error(`Failed to close LinkedIn session: ${error.message}`);
+    })));
+    if (sessions.length > 0) {
+      logger.info(`Closed ${sessions.length} LinkedIn sessions`);
+    }
+  }
 }
 
 module.exports = { LinkedInAuthenticatedScraper }; 
\ No newline at end of file
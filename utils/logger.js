@@ -0,0 +1,254 @@
+/**
+ * Structured Logger
+ * JSON log lines with levels, the ID of the request that caused them (propagated with AsyncLocalStorage)
+ * and redaction of secrets such as API keys, proxy passwords and LinkedIn credentials
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { trace } = require('@opentelemetry/api');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_FIELD_PATTERN = /password|passwd|secret|token|api[-_]?key|^key$|authorization|cookie|credential/i;
+
+// Secrets inside free text: passwords in URLs, key= query parameters and Google API keys
+const SECRET_TEXT_PATTERNS = [
+  [/(\/\/[^/\s:@]+:)[^@\s/]+@/g, `$1${REDACTED}@`],
+  [/([?&](?:key|api_key|apikey|access_token|token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/AIza[0-9A-Za-z_-]{35}/g, REDACTED]
+];
+
+const requestContext = new AsyncLocalStorage();
+const knownSecrets = new Set();
+
+const minLevel = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+const prettyOutput = process.env.LOG_FORMAT === 'pretty';
+
+/**
+ * Register a secret value (API key, password) so it is masked wherever it appears in a log line
+ * @param {string} value - Secret
+ */
+function addSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) {
+    knownSecrets.add(value);
+  }
+}
+
+/**
+ * Stop masking a secret that is no longer in use (e.g. credentials of a finished request)
+ * @param {string} value - Secret
+ */
+function forgetSecret(value) {
+  knownSecrets.delete(value);
+}
+
+/**
+ * Mask secrets in a string
+ * @param {string} text - Text to clean
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ */
+function redactText(text) {
+  let redacted = text;
+  for (const secret of knownSecrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_TEXT_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  return redacted;
+}
+
+/**
+ * Copy a value for logging: errors serialized, secret fields masked, strings cleaned
+ * @param {*} value - Value to log
+ * @param {number} depth - Nesting depth, to stop at cycles and deep objects
+ * @returns {*} Loggable value
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 6) return '[Object]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.kind ? { kind: value.kind } : {}),
+      ...(value.statusCode ? { statusCode: value.statusCode } : {}),
+      stack: value.stack
+    }, depth + 1);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD_PATTERN.test(key) && field ? REDACTED : redact(field, depth + 1);
+  }
+  return copy;
+}
+
+class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every line (e.g. { module: 'scraper' })
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds more fields to every line
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Write one log line
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object|Error} fields - Extra fields, or an error (logged as `error`)
+   */
+  log(level, message, fields) {
+    if (LOG_LEVELS[level] < minLevel) return;
+
+    const context = requestContext.getStore() || {};
+    // Lines written inside a recorded span can be matched to their trace (see utils/tracing.js)
+    const span = trace.getActiveSpan();
+    const traceId = span && span.isRecording() ? span.spanContext().traceId : undefined;
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.bindings,
+      ...context,
+      traceId,
+      ...extra
+    });
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    if (prettyOutput) {
+      const { time, level: entryLevel, msg, module, requestId, ...rest } = entry;
+      const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${module ? `[${module}] ` : ''}${requestId ? `(${requestId}) ` : ''}${msg}${details}\n`);
+    } else {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+const rootLogger = new Logger();
+
+/**
+ * Logger for a module
+ * @param {string} module - Module name added to every line
+ * @returns {Logger} Logger
+ */
+function createLogger(module) {
+  return rootLogger.child({ module });
+}
+
+/**
+ * Fields of the request being handled (requestId, jobId), if any
+ * @returns {Object} Context
+ */
+function getContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Run a function with context fields added to every log line it causes, including in async callbacks
+ * @param {Object} context - Fields such as { requestId, jobId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithContext(context, fn) {
+  return requestContext.run({ ...getContext(), ...context }, fn);
+}
+
+/**
+ * Run a function outside any request context, for work that outlives the request (timers, pool upkeep)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runDetached(fn) {
+  return requestContext.exit(fn);
+}
+
+/**
+ * Express middleware giving each request an ID: the client's X-Request-Id if it is a plausible ID,
+ * otherwise a new UUID. The ID is echoed in the response header and added to every log line of the request.
+ * @returns {Function} Express middleware
+ */
+function requestLogging() {
+  const logger = createLogger('http');
+
+  return (req, res, next) => {
+    const clientId = req.get(REQUEST_ID_HEADER);
+    const requestId = clientId && /^[\w.:-]{1,128}$/.test(clientId) ? clientId : crypto.randomUUID();
+    const startTime = Date.now();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    runWithContext({ requestId }, () => {
+      // 'finish' does not fire when the client disconnects first; 'close' logs those requests as aborted
+      let logged = false;
+      // Bound to the request's context: 'close' is emitted from the socket's context
+      const logCompletion = AsyncResource.bind(() => {
+        if (logged) return;
+        logged = true;
+        const aborted = !res.writableFinished;
+        const level = res.statusCode >= 500 ? 'error' : aborted || res.statusCode >= 400 ? 'warn' : 'info';
+        logger.log(level, aborted ? 'Request aborted' : 'Request completed', {
+          method: req.method,
+          path: req.path,
+          status: aborted ? 'aborted' : res.statusCode,
+          durationMs: Date.now() - startTime,
+          client: req.apiKey ? req.apiKey.name : undefined
+        });
+      });
+      res.on('finish', logCompletion);
+      res.on('close', logCompletion);
+      next();
+    });
+  };
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  getContext,
+  runWithContext,
+  runDetached,
+  requestLogging,
+  addSecret,
+  forgetSecret,
+  redact,
+  REQUEST_ID_HEADER,
+  LOG_LEVELS
+};
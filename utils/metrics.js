@@ -0,0 +1,177 @@
+/**
+ * Prometheus Metrics
+ * Registry served at /metrics: HTTP requests per route, search attempts per provider and outcome,
+ * extraction outcomes, browser launches and active pages, rate limiter delay and Custom Search quota
+ */
+
+require('dotenv').config();
+const client = require('prom-client');
+const { rateLimiter } = require('./adaptive-rate-limiter');
+const { googleAPI } = require('./google-api');
+
+const PREFIX = process.env.METRICS_PREFIX !== undefined ? process.env.METRICS_PREFIX : 'scraper_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequestsTotal = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request duration by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  // Searches through the Google scraper take tens of seconds, extractions a few
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const searchAttemptsTotal = new client.Counter({
+  name: `${PREFIX}search_attempts_total`,
+  help: 'Search provider attempts by provider and outcome (success, empty, failed, skipped)',
+  labelNames: ['provider', 'outcome'],
+  registers: [register]
+});
+
+const searchAttemptDuration = new client.Histogram({
+  name: `${PREFIX}search_attempt_duration_seconds`,
+  help: 'Duration of search provider calls by provider and outcome',
+  labelNames: ['provider', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90],
+  registers: [register]
+});
+
+const searchErrorsTotal = new client.Counter({
+  name: `${PREFIX}search_errors_total`,
+  help: 'Failed search provider attempts by provider and error type',
+  labelNames: ['provider', 'error_type'],
+  registers: [register]
+});
+
+const extractionsTotal = new client.Counter({
+  name: `${PREFIX}extractions_total`,
+  help: 'Content extractions by extractionType (full-page, main-content, authentication-blocked, empty-content, ...) or "failed"',
+  labelNames: ['extraction_type'],
+  registers: [register]
+});
+
+const browserLaunchesTotal = new client.Counter({
+  name: `${PREFIX}browser_launches_total`,
+  help: 'Pooled browser launches by outcome (success, failure)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+// Gauges below read the current value when scraped
+
+new client.Gauge({
+  name: `${PREFIX}browser_active_pages`,
+  help: 'Pages open in pooled browsers',
+  registers: [register],
+  collect() {
+    // Required lazily: browser-pool.js depends on this module
+    const { browserPool } = require('./browser-pool');
+    this.set(browserPool.countOpenPages());
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}rate_limiter_current_delay_seconds`,
+  help: 'Current delay of the adaptive rate limiter before a Google scraper request',
+  registers: [register],
+  collect() {
+    this.set(rateLimiter.currentDelay / 1000);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}google_api_quota_remaining`,
+  help: 'Custom Search API requests remaining today, per configured key',
+  labelNames: ['key'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const key of googleAPI.getKeyUsage()) {
+      this.set({ key: key.name }, key.requestsRemaining);
+    }
+  }
+});
+
+/**
+ * Express middleware recording request count and duration per route.
+ * The route is the matched Express path (e.g. /jobs/:id), so IDs do not create new series.
+ * Requests whose client disconnected before the response was sent get status_code "aborted".
+ * @returns {Function} Express middleware
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer();
+    // 'finish' does not fire when the client disconnects first; 'close' records those requests as aborted
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status_code: res.writableFinished ? String(res.statusCode) : 'aborted'
+      };
+      httpRequestsTotal.inc(labels);
+      endTimer(labels);
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+/**
+ * Record a search provider attempt
+ * @param {Object} attempt - Attempt from SearchProviderChain.attempt()
+ */
+function recordSearchAttempt(attempt) {
+  const labels = { provider: attempt.provider, outcome: attempt.status };
+  searchAttemptsTotal.inc(labels);
+  if (attempt.status !== 'skipped') {
+    searchAttemptDuration.observe(labels, attempt.durationMs / 1000);
+  }
+  if (attempt.status === 'failed') {
+    searchErrorsTotal.inc({ provider: attempt.provider, error_type: attempt.errorType || 'unknown' });
+  }
+}
+
+/**
+ * Count the outcome of an extraction
+ * @param {Promise} pending - Promise of an extractContent() result
+ * @returns {Object} The extraction result
+ */
+async function countExtraction(pending) {
+  try {
+    const result = await pending;
+    extractionsTotal.inc({ extraction_type: result.extractionType || 'unknown' });
+    return result;
+  } catch (error) {
+    extractionsTotal.inc({ extraction_type: 'failed' });
+    throw error;
+  }
+}
+
+/**
+ * Record a pooled browser launch
+ * @param {boolean} success - Whether Chromium started
+ */
+function recordBrowserLaunch(success) {
+  browserLaunchesTotal.inc({ outcome: success ? 'success' : 'failure' });
+}
+
+module.exports = {
+  register,
+  httpMetrics,
+  recordSearchAttempt,
+  countExtraction,
+  recordBrowserLaunch
+};
@@ -4,6 +4,9 @@
  */
 
 require('dotenv').config();
+const { createLogger, addSecret } = require('./logger');
+
+const logger = createLogger('proxy-rotation');
 
 // Example proxy configurations - replace with your actual proxy providers
 const proxyPools = {
@@ -40,6 +43,10 @@ const proxyFailures = new Map();
 const MAX_FAILURES_PER_PROXY = 3;
 const PROXY_COOLDOWN_TIME = 30 * 60 * 1000; // 30 minutes
 
+// Proxy passwords never appear in logs
+addSecret(process.env.PROXY_PASSWORD);
+Object.values(proxyPools).flat().forEach(proxy => addSecret(proxy.password));
+
 /**
  * Get environment proxy configuration
  * @returns {Object|null} Proxy configuration from environment variables
@@ -68,7 +75,7 @@ function getEnvironmentProxy() {
 function selectHealthyProxy(poolType = 'any') {
   const envProxy = getEnvironmentProxy();
   if (envProxy) {
-    console.log('🌐 Using environment proxy configuration');
+    logger.info('Using environment proxy configuration');
     return envProxy;
   }
   
@@ -83,7 +90,7 @@ function selectHealthyProxy(poolType = 'any') {
   }
   
   if (availableProxies.length === 0) {
-    console.log('⚠️ No proxies configured, using direct connection');
+    logger.warn('No proxies configured, using direct connection');
     return null;
   }
   
@@ -108,7 +115,7 @@ function selectHealthyProxy(poolType = 'any') {
   });
   
   if (healthyProxies.length === 0) {
-    console.log('❌ All proxies are in failure cooldown, using direct connection');
+    logger.warn('All proxies are in failure cooldown, using direct connection');
     return null;
   }
   
@@ -126,7 +133,7 @@ function selectHealthyProxy(poolType = 'any') {
   // Update usage tracking
   proxyUsage.set(selectedProxy.proxyKey, Date.now());
   
-  console.log(`🌐 Selected proxy: ${selectedProxy.server} (${selectedProxy.country}, ${selectedProxy.type})`);
+  logger.info(`Selected proxy: ${selectedProxy.server} (${selectedProxy.country}, ${selectedProxy.type})`);
   return selectedProxy;
 }
 
@@ -146,10 +153,10 @@ function reportProxyFailure(proxy, error) {
   
   proxyFailures.set(proxyKey, currentFailures);
   
-  console.log(`❌ Proxy failure reported: ${proxy.server} (${currentFailures.count}/${MAX_FAILURES_PER_PROXY}) - ${error}`);
+  logger.warn(`Proxy failure reported: ${proxy.server} (${currentFailures.count}/${MAX_FAILURES_PER_PROXY}) - ${error}`);
   
   if (currentFailures.count >= MAX_FAILURES_PER_PROXY) {
-    console.log(`🚫 Proxy ${proxy.server} temporarily blacklisted for ${PROXY_COOLDOWN_TIME / 60000} minutes`);
+    logger.warn(`Proxy ${proxy.server} temporarily blacklisted for ${PROXY_COOLDOWN_TIME / 60000} minutes`);
   }
 }
 
@@ -177,9 +184,9 @@ async function createProxyContext(browser, proxy = null) {
       username: proxy.username,
       password: proxy.password
     };
-    console.log(`🌐 Browser context created with proxy: ${proxy.server}`);
+    logger.info(`Browser context created with proxy: ${proxy.server}`);
   } else {
-    console.log('🌐 Browser context created with direct connection');
+    logger.info('Browser context created with direct connection');
   }
   
   try {
@@ -189,7 +196,7 @@ async function createProxyContext(browser, proxy = null) {
     if (proxy) {
       reportProxyFailure(proxy, error.message);
       // Try again without proxy
-      console.log('🔄 Retrying without proxy...');
+      logger.info('Retrying without proxy...');
       delete contextOptions.proxy;
       const context = await browser.newContext(contextOptions);
       return { context, proxy: null };
@@ -204,13 +211,11 @@ async function createProxyContext(browser, proxy = null) {
  * @returns {boolean} True if proxy is working
  */
 async function testProxy(proxy) {
-  const { chromium } = require('playwright');
+  const { browserPool } = require('./browser-pool');
   
-  let browser = null;
+  let lease = null;
   try {
-    browser = await chromium.launch({ headless: true });
-    
-    const context = await browser.newContext({
+    lease = await browserPool.acquire({ headless: true }, {
       proxy: {
         server: proxy.server,
         username: proxy.username,
@@ -218,22 +223,22 @@ async function testProxy(proxy) {
       }
     });
     
-    const page = await context.newPage();
+    const page = await lease.context.newPage();
     await page.goto('https://httpbin.org/ip', { timeout: 10000 });
     
     const response = await page.textContent('pre');
     const ipInfo = JSON.parse(response);
     
-    console.log(`✅ Proxy ${proxy.server} is working. External IP: ${ipInfo.origin}`);
+    logger.info(`Proxy ${proxy.server} is working. External IP: ${ipInfo.origin}`);
     return true;
     
   } catch (error) {
-    console.log(`❌ Proxy ${proxy.server} failed test: ${error.message}`);
+    logger.warn(`Proxy ${proxy.server} failed test: ${error.message}`);
     reportProxyFailure(proxy, error.message);
     return false;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (lease) {
+      await lease.release();
     }
   }
 }
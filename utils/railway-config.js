@@ -3,6 +3,10 @@
  * Optimizations for cloud hosting environment
  */
 
+const { createLogger } = require('./logger');
+
+const logger = createLogger('railway-config');
+
 const railwayConfig = {
   // More aggressive rate limiting for shared hosting
   production: {
@@ -35,9 +39,7 @@ const railwayConfig = {
     '--disable-setuid-sandbox', 
     '--disable-dev-shm-usage',
     '--disable-gpu',
-    '--disable-web-security',
     '--disable-features=VizDisplayCompositor',
-    '--single-process',
     '--memory-pressure-off',
     '--max_old_space_size=512', // Lower memory for Railway
     '--disable-background-networking',
@@ -83,19 +85,31 @@ const railwayConfig = {
            process.env.PORT !== undefined;
   },
   
+  // Apply BROWSER_TIMEOUT / NAVIGATION_TIMEOUT overrides from the environment
+  applyEnvironmentOverrides(config) {
+    return {
+      ...config,
+      timeouts: {
+        ...config.timeouts,
+        browser: parseInt(process.env.BROWSER_TIMEOUT) || config.timeouts.browser,
+        navigation: parseInt(process.env.NAVIGATION_TIMEOUT) || config.timeouts.navigation
+      }
+    };
+  },
+  
   // Get current configuration based on environment
   getCurrentConfig() {
     if (this.isRailway()) {
-      console.log('🚂 Railway environment detected - using production config');
-      return {
+      logger.info('Railway environment detected - using production config');
+      return this.applyEnvironmentOverrides({
         ...this.production,
         browserArgs: this.browserArgs,
         userAgents: this.productionUserAgents,
         domains: this.googleDomains
-      };
+      });
     } else {
-      console.log('💻 Local environment detected - using development config');
-      return {
+      logger.info('Local environment detected - using development config');
+      return this.applyEnvironmentOverrides({
         rateLimit: {
           maxRequestsPerMinute: 2,
           minDelayBetweenRequests: 30000,
@@ -113,7 +127,7 @@ const railwayConfig = {
           useAlternativeDomains: false,
           rotateUserAgentsFrequently: false
         }
-      };
+      });
     }
   }
 };
@@ -0,0 +1,55 @@
+/**
+ * Rank Fusion
+ * Merges ranked result lists from several search engines with reciprocal rank fusion (RRF):
+ * each result scores the sum of 1 / (k + rank) over the engines that returned it
+ */
+
+require('dotenv').config();
+
+const DEFAULT_RRF_K = parseInt(process.env.SEARCH_RRF_K) || 60;
+
+/**
+ * Merge normalized result lists into one ranking.
+ * Results are deduplicated by normalizedUrl; the copy from the engine that ranked it best is kept
+ * (ties go to the engine listed first) and annotated with every engine's rank.
+ * @param {Array} lists - [{ engine, results }] in provider order, each list in the engine's rank order
+ * @param {Object} options - { k: RRF constant }
+ * @returns {Array} Fused results, best first, with rank, engineRanks and fusionScore
+ */
+function reciprocalRankFusion(lists, options = {}) {
+  const k = options.k || DEFAULT_RRF_K;
+  const merged = new Map(); // normalizedUrl -> { result, bestRank, engineRanks, score, order }
+
+  lists.forEach(({ engine, results }, listIndex) => {
+    results.forEach((result, index) => {
+      const rank = index + 1;
+      const key = result.normalizedUrl || result.url;
+      const entry = merged.get(key) || { result, bestRank: Infinity, engineRanks: {}, score: 0, order: listIndex };
+
+      // An engine that repeats a URL only counts once, at its best rank
+      if (entry.engineRanks[engine] !== undefined) return;
+
+      entry.engineRanks[engine] = rank;
+      entry.score += 1 / (k + rank);
+      if (rank < entry.bestRank) {
+        entry.result = result;
+        entry.bestRank = rank;
+      }
+      merged.set(key, entry);
+    });
+  });
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.score - a.score || a.bestRank - b.bestRank || a.order - b.order)
+    .map((entry, index) => ({
+      ...entry.result,
+      rank: index + 1,
+      engineRanks: entry.engineRanks,
+      fusionScore: Number(entry.score.toFixed(6))
+    }));
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  DEFAULT_RRF_K
+};
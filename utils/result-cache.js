@@ -0,0 +1,416 @@
+/**
+ * Result Cache
+ * Caches search responses and extractions behind a pluggable backend (memory or disk),
+ * with per-kind TTLs, bypass/refresh controls and ETag/Last-Modified revalidation of extracted pages
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./json-store');
+const { urlPolicy } = require('./url-policy');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('result-cache');
+
+const CACHE_MODES = ['bypass', 'refresh'];
+const REVALIDATION_TIMEOUT = 10000;
+
+/**
+ * Serialize a value with object keys sorted, so equal filters always give the same key
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * URL as serialized by the URL parser (lowercase scheme and host, default port dropped), otherwise unchanged
+ * @param {string} url - URL
+ * @returns {string} Canonical URL
+ */
+function canonicalUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * In-process cache, least recently used entries are evicted first.
+ * Backends implement async get(key), set(key, entry), delete(key), clear() and size().
+ */
+class MemoryCacheBackend {
+  /**
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.deleteAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Move to the end of the Map (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * One JSON file per entry in a cache directory, shared across restarts
+ */
+class DiskCacheBackend {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor(options = {}) {
+    this.name = 'disk';
+    this.directory = options.directory || process.env.CACHE_DIR || path.join(DATA_DIR, 'cache');
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.prune();
+  }
+
+  /**
+   * File holding an entry
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read cache entry: ${error.message}`);
+      }
+      return null;
+    }
+    if (entry.key !== key || entry.deleteAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ ...entry, key }));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    for (const file of fs.readdirSync(this.directory)) {
+      await fs.promises.unlink(path.join(this.directory, file)).catch(() => {});
+    }
+  }
+
+  async size() {
+    return fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).length;
+  }
+
+  /**
+   * Remove expired entries left from previous runs
+   */
+  prune() {
+    let removed = 0;
+    for (const file of fs.readdirSync(this.directory)) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const { deleteAt } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (deleteAt <= Date.now()) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch {
+        fs.rmSync(filePath, { force: true });
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info(`Removed ${removed} expired cache entries`);
+    }
+  }
+}
+
+class ResultCache {
+  /**
+   * @param {Object} options - { backend, ttl: { search, extract } in seconds, staleTtl in seconds }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend !== undefined ? options.backend : createBackend(process.env.CACHE_BACKEND || 'memory');
+    this.ttl = {
+      search: parseInt(process.env.CACHE_SEARCH_TTL) || 3600, // 1 hour
+      extract: parseInt(process.env.CACHE_EXTRACT_TTL) || 86400, // 1 day
+      ...options.ttl
+    };
+    // How long an expired entry with ETag/Last-Modified is kept for revalidation
+    this.staleTtl = options.staleTtl || parseInt(process.env.CACHE_STALE_TTL) || 7 * 86400;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      revalidated: 0,
+      stores: 0,
+      bypassed: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Whether a backend is configured
+   * @returns {boolean} True if caching is enabled
+   */
+  isEnabled() {
+    return !!this.backend;
+  }
+
+  /**
+   * Cache key of a search: normalized query plus every parameter that changes the results
+   * @param {Object} params - Parsed search parameters
+   * @returns {string} Cache key
+   */
+  searchKey({ query, vertical, mode, limit, offset, filters, providers }) {
+    return `search:${stableStringify({
+      query: query.trim().toLowerCase().replace(/\s+/g, ' '),
+      vertical: vertical || 'web',
+      mode: mode || 'fallback',
+      limit,
+      offset: offset || 0,
+      filters: filters || {},
+      providers: providers || null
+    })}`;
+  }
+
+  /**
+   * Cache key of an extraction: the exact URL plus extraction options.
+   * Only the URL parser's canonical form is applied (lowercase scheme and host, no default port): the fragment,
+   * www. prefix, trailing slash and query parameters can all select a different page, e.g. in hash-routed apps.
+   * @param {Object} params - Parsed extraction parameters
+   * @returns {string} Cache key
+   */
+  extractKey({ url, fullPage, includeImages }) {
+    return `extract:${stableStringify({ url: canonicalUrl(url), fullPage: !!fullPage, includeImages: !!includeImages })}`;
+  }
+
+  /**
+   * Return a cached value or compute and store it.
+   * @param {string} key - Cache key from searchKey() or extractKey()
+   * @param {Function} compute - async () => value
+   * @param {Object} options - {
+   *   kind: 'search' or 'extract' (selects the TTL),
+   *   mode: undefined, 'bypass' (neither read nor write) or 'refresh' (recompute and overwrite),
+   *   shouldStore: (value) => boolean, only successful values are cached,
+   *   validators: (value) => { url, etag, lastModified } for revalidating an expired entry
+   * }
+   * @returns {Object} { value, cache: { status: hit, miss, revalidated, refresh or bypass, storedAt, expiresAt } }
+   */
+  async wrap(key, compute, options = {}) {
+    const { kind = 'search', mode, shouldStore = () => true, validators } = options;
+
+    if (!this.isEnabled() || mode === 'bypass') {
+      this.stats.bypassed++;
+      return { value: await compute(), cache: { status: 'bypass' } };
+    }
+
+    if (mode !== 'refresh') {
+      const entry = await this.read(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        this.stats.hits++;
+        return { value: entry.value, cache: this.describe('hit', entry) };
+      }
+
+      if (entry && entry.validators && await this.revalidate(entry.validators)) {
+        this.stats.revalidated++;
+        const renewed = { ...entry, expiresAt: Date.now() + this.ttl[kind] * 1000 };
+        renewed.deleteAt = renewed.expiresAt + this.staleTtl * 1000;
+        await this.write(key, renewed);
+        return { value: entry.value, cache: this.describe('revalidated', renewed) };
+      }
+    }
+
+    this.stats.misses++;
+    const value = await compute();
+    if (!shouldStore(value)) {
+      return { value, cache: { status: mode === 'refresh' ? 'refresh' : 'miss' } };
+    }
+
+    const now = Date.now();
+    const entryValidators = validators ? validators(value) : null;
+    const hasValidators = entryValidators && (entryValidators.etag || entryValidators.lastModified);
+    const entry = {
+      value,
+      storedAt: now,
+      expiresAt: now + this.ttl[kind] * 1000,
+      validators: hasValidators ? entryValidators : null
+    };
+    entry.deleteAt = entry.expiresAt + (hasValidators ? this.staleTtl * 1000 : 0);
+
+    await this.write(key, entry);
+    this.stats.stores++;
+    return { value, cache: this.describe(mode === 'refresh' ? 'refresh' : 'miss', entry) };
+  }
+
+  /**
+   * Ask the origin whether a cached page changed, with a conditional GET
+   * @param {Object} validators - { url, etag, lastModified }
+   * @returns {boolean} True if the server answered 304 Not Modified
+   */
+  async revalidate({ url, etag, lastModified }) {
+    const headers = { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' };
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    try {
+      // Redirects are not followed, so only the checked URL is requested
+      const response = await urlPolicy.fetch(url, { headers, redirect: 'manual', timeout: REVALIDATION_TIMEOUT });
+      if (response.body && typeof response.body.destroy === 'function') {
+        response.body.destroy();
+      }
+      logger.info(`Revalidated ${url}: ${response.status}`);
+      return response.status === 304;
+    } catch (error) {
+      logger.warn(`Could not revalidate ${url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Read an entry, treating backend errors as a miss
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry
+   */
+  async read(key) {
+    try {
+      return await this.backend.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry, logging backend errors instead of failing the request
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry
+   */
+  async write(key, entry) {
+    try {
+      await this.backend.set(key, entry);
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache metadata returned to the client
+   * @param {string} status - hit, miss, revalidated or refresh
+   * @param {Object} entry - Entry
+   * @returns {Object} { status, storedAt, expiresAt, age }
+   */
+  describe(status, entry) {
+    return {
+      status,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      age: Math.floor((Date.now() - entry.storedAt) / 1000)
+    };
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    if (this.backend) await this.backend.clear();
+  }
+
+  /**
+   * Backend, TTLs and counters
+   * @returns {Object} Statistics
+   */
+  async getStats() {
+    return {
+      backend: this.backend ? this.backend.name : 'none',
+      entries: this.backend ? await this.backend.size() : 0,
+      ttl: this.ttl,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Create a cache backend by name
+ * @param {string} name - memory, disk or none
+ * @returns {Object|null} Backend, or null when caching is disabled
+ */
+function createBackend(name) {
+  switch (name) {
+    case 'memory':
+      return new MemoryCacheBackend();
+    case 'disk':
+      return new DiskCacheBackend();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${name}" (expected memory, disk or none)`);
+  }
+}
+
+// Singleton instance
+const resultCache = new ResultCache();
+
+module.exports = {
+  ResultCache,
+  MemoryCacheBackend,
+  DiskCacheBackend,
+  createBackend,
+  resultCache,
+  CACHE_MODES
+};
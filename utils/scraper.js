@@ -1,15 +1,46 @@
-const { chromium } = require('playwright');
 const TurndownService = require('turndown');
 const railwayConfig = require('./railway-config');
+const { browserPool } = require('./browser-pool');
+const { urlPolicy } = require('./url-policy');
 
 // Enhanced anti-blocking modules
 const { enhancedScraper } = require('./enhanced-scraper');
-const { searchWithApiFallback } = require('./google-api');
 const { rateLimiter } = require('./adaptive-rate-limiter');
+const { searchProviders } = require('./search-providers');
+const { BlockedError, ParseFailureError, CircuitOpenError, RequestAbortedError, RateLimitError, toProviderError } = require('./errors');
+const { extractGoogleSerpFeatures, extractDuckDuckGoSerpFeatures, normalizeSerpFeatures } = require('./serp-features');
+const { sleep, onAbort, throwIfAborted } = require('./cancellation');
+const { createLogger } = require('./logger');
+const { withSpan } = require('./tracing');
+
+const logger = createLogger('scraper');
 
 // Get environment-specific configuration
 const envConfig = railwayConfig.getCurrentConfig();
 
+// Google failures after which searchWithRailwayOptimization moves on to DuckDuckGo
+const FAILOVER_ERROR_KINDS = ['blocked', 'timeout', 'network'];
+
+const GOOGLE_MIN_INTERVAL = 30000; // Minimum time between Google results page requests, whatever the environment allows
+
+// Launch profile of the pooled extraction browsers. Pooled browsers serve many leases at once, so no profile
+// uses --single-process (one renderer crash would close every context) or --disable-web-security.
+const EXTRACTION_BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-features=VizDisplayCompositor',
+  '--memory-pressure-off',
+  '--max_old_space_size=4096'
+];
+
 // Rate limiting and request tracking (dynamic based on environment)
 const requestTracker = {
   requests: [],
@@ -35,14 +66,26 @@ const requestTracker = {
     this.requests.push(Date.now());
   },
   
-  getWaitTime() {
+  /**
+   * Time until the next request is allowed: the per-minute limit has room and minInterval has passed since the last request
+   * @param {number} minInterval - Minimum time between requests in milliseconds
+   * @returns {number} Milliseconds, 0 when a request can be made now
+   */
+  getWaitTime(minInterval = this.minDelayBetweenRequests) {
+    const now = Date.now();
+    let wait = 0;
+
+    if (!this.canMakeRequest()) {
+      // The request that has to leave the one-minute window before there is room again
+      wait = this.requests[this.requests.length - this.maxRequestsPerMinute] + 60000 - now;
+    }
+
     const lastRequest = this.getLastRequestTime();
-    if (lastRequest === 0) return 0;
-    
-    const timeSinceLastRequest = Date.now() - lastRequest;
-    const remainingWait = this.minDelayBetweenRequests - timeSinceLastRequest;
-    
-    return Math.max(0, remainingWait);
+    if (lastRequest > 0) {
+      wait = Math.max(wait, lastRequest + minInterval - now);
+    }
+
+    return Math.max(0, wait);
   }
 };
 
@@ -60,34 +103,130 @@ turndownService.addRule('strikethrough', {
   }
 });
 
+/**
+ * Read SERP features from a results page without failing the search
+ * @param {Object} page - Playwright page
+ * @param {Function} extractor - extractGoogleSerpFeatures or extractDuckDuckGoSerpFeatures
+ * @param {string} engine - Provider name
+ * @returns {Array} Typed SERP features
+ */
+async function readSerpFeatures(page, extractor, engine) {
+  try {
+    const serpFeatures = normalizeSerpFeatures(await page.evaluate(extractor), engine);
+    if (serpFeatures.length > 0) {
+      logger.info(`SERP features: ${serpFeatures.map(feature => feature.type).join(', ')}`);
+    }
+    return serpFeatures;
+  } catch (error) {
+    logger.warn(`Could not read SERP features: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Open a URL in a page inside a browser.navigate span
+ * @param {Object} page - Playwright page
+ * @param {string} url - URL to open
+ * @param {Object} options - page.goto options
+ * @returns {Object|null} Playwright response of the main document
+ */
+function navigate(page, url, options) {
+  return withSpan('browser.navigate', { 'url.full': url, 'browser.wait_until': options.waitUntil || 'load' }, async span => {
+    const response = await page.goto(url, options);
+    if (response) {
+      span.setAttribute('http.response.status_code', response.status());
+    }
+    return response;
+  });
+}
+
+/**
+ * Time until the minimum interval between Google results page requests allows the next one
+ * @returns {number} Milliseconds, 0 when a request can be made now
+ */
+function getGoogleWaitTime() {
+  return requestTracker.getWaitTime(Math.max(requestTracker.minDelayBetweenRequests, GOOGLE_MIN_INTERVAL));
+}
+
+/**
+ * Fail fast when the minimum interval between Google results page requests has not passed yet
+ * @throws {RateLimitError} With the seconds until the next request is allowed
+ */
+function checkGoogleRateLimit() {
+  const waitTime = getGoogleWaitTime();
+  if (waitTime > 0) {
+    const retryAfter = Math.ceil(waitTime / 1000);
+    throw new RateLimitError(`Google rate limit reached, next search allowed in ${retryAfter}s`, { provider: 'google', limiter: 'google-min-interval', retryAfter });
+  }
+}
+
 /**
  * Search Google and extract results
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
+ * @param {Object} urlParams - Results page parameters (hl, gl, safe, tbs, start, ...) applied after the search is submitted
+ * @param {Object} options - { signal: request cancellation, rateLimit: wait or fail, onRateLimitWait } (see searchGoogleSerp)
  * @returns {Array} Array of search results
  */
-async function searchGoogle(query, limit = 10) {
+async function searchGoogle(query, limit = 10, urlParams = {}, options = {}) {
+  const { results } = await searchGoogleSerp(query, limit, urlParams, options);
+  return results;
+}
+
+/**
+ * Search Google and extract organic results plus SERP features
+ * (featured snippet, People also ask, knowledge panel, related searches)
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results to return
+ * @param {Object} urlParams - Results page parameters (hl, gl, safe, tbs, start, ...) applied after the search is submitted
+ * @param {Object} options - {
+ *   signal: stops the waits and closes the page when the request is cancelled,
+ *   rateLimit: 'wait' (default) waits until the rate limit allows the request, 'fail' throws instead,
+ *   onRateLimitWait: ({ limiter, waitMs }) => void, called with the estimated wait before waiting
+ * }
+ * @returns {Object} { results, serpFeatures }
+ * @throws {RateLimitError} In fail mode, when the rate limit does not allow a request yet
+ * @throws {RequestAbortedError} When the request is cancelled
+ */
+async function searchGoogleSerp(query, limit = 10, urlParams = {}, options = {}) {
+  const { signal, rateLimit = 'wait', onRateLimitWait } = options;
+  throwIfAborted(signal);
+
   // Enhanced rate limiting - be more conservative
-  if (!requestTracker.canMakeRequest()) {
-    throw new Error('Rate limit exceeded. Too many requests in the last minute. Please wait before making another search.');
-  }
+  const waitTime = getGoogleWaitTime();
   
-  const waitTime = requestTracker.getWaitTime();
-  const minWaitTime = 30000; // Minimum 30 seconds between requests
-  const actualWaitTime = Math.max(waitTime, minWaitTime);
-  
-  if (actualWaitTime > 0) {
-    console.log(`⏳ Enhanced rate limiting: Waiting ${Math.round(actualWaitTime / 1000)} seconds before next request...`);
-    await new Promise(resolve => setTimeout(resolve, actualWaitTime));
+  if (waitTime > 0) {
+    if (rateLimit === 'fail') checkGoogleRateLimit();
+
+    logger.info(`Enhanced rate limiting: Waiting ${Math.round(waitTime / 1000)} seconds before next request...`);
+    if (onRateLimitWait) onRateLimitWait({ limiter: 'google-min-interval', waitMs: waitTime });
+    await withSpan('rate_limit.wait', { 'rate_limit.limiter': 'google-min-interval', 'rate_limit.delay_ms': waitTime }, () =>
+      sleep(waitTime, signal)
+    );
   }
   
   // Record this request
   requestTracker.addRequest();
   
-  let browser;
+  // Enhanced user agent rotation with more realistic agents
+  const userAgents = railwayConfig.isRailway() ? 
+    envConfig.userAgents : 
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:123.0) Gecko/20100101 Firefox/123.0'
+    ];
+  
+  const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+  
+  let lease;
   try {
-    console.log('🔧 Launching browser for Google search...');
-    console.log(`🌍 Environment: ${railwayConfig.isRailway() ? 'Railway Production' : 'Local Development'}`);
+    logger.debug('Leasing browser for Google search...');
+    logger.debug(`Environment: ${railwayConfig.isRailway() ? 'Railway Production' : 'Local Development'}`);
     
     // Enhanced stealth browser arguments for better anti-detection
     const browserArgs = railwayConfig.isRailway() ? 
@@ -97,7 +236,6 @@ async function searchGoogle(query, limit = 10) {
         '--disable-setuid-sandbox',
         '--disable-dev-shm-usage',
         '--disable-gpu',
-        '--single-process',
         '--disable-blink-features=AutomationControlled',
         '--disable-automation',
         '--disable-plugins-discovery',
@@ -110,7 +248,6 @@ async function searchGoogle(query, limit = 10) {
         '--disable-backgrounding-occluded-windows',
         '--disable-renderer-backgrounding',
         '--disable-device-discovery-notifications',
-        '--disable-web-security',
         '--disable-features=TranslateUI,VizDisplayCompositor',
         '--hide-scrollbars',
         '--mute-audio',
@@ -122,35 +259,13 @@ async function searchGoogle(query, limit = 10) {
         '--disable-ipc-flooding-protection'
       ];
     
-    browser = await chromium.launch({
+    logger.debug(`Using user agent: ${randomUserAgent.substring(0, 50)}...`);
+    
+    lease = await browserPool.acquire({
       headless: true,
       timeout: envConfig.timeouts.browser,
       args: browserArgs
-    });
-    console.log('✅ Browser launched successfully for search');
-  } catch (error) {
-    console.error('❌ Failed to launch browser for search:', error);
-    throw new Error(`Browser launch failed: ${error.message}`);
-  }
-  
-  try {
-    // Enhanced user agent rotation with more realistic agents
-    const userAgents = railwayConfig.isRailway() ? 
-      envConfig.userAgents : 
-      [
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0',
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:123.0) Gecko/20100101 Firefox/123.0'
-      ];
-    
-    const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-    console.log(`🎭 Using user agent: ${randomUserAgent.substring(0, 50)}...`);
-    
-    const context = await browser.newContext({
+    }, {
       userAgent: randomUserAgent,
       viewport: { 
         width: 1366 + Math.floor(Math.random() * 100), 
@@ -173,8 +288,16 @@ async function searchGoogle(query, limit = 10) {
         'Cache-Control': 'max-age=0'
       }
     });
-    
-    const page = await context.newPage();
+    logger.debug('Browser context leased successfully for search');
+  } catch (error) {
+    logger.error('Failed to launch browser for search', error);
+    throw new Error(`Browser launch failed: ${error.message}`);
+  }
+  
+  // Closing the context on cancellation interrupts whatever the page is doing (typing, waits, navigation)
+  const stopWatching = onAbort(signal, () => lease.release());
+  try {
+    const page = await lease.context.newPage();
     
     // Enhanced stealth script
     await page.addInitScript(() => {
@@ -210,15 +333,17 @@ async function searchGoogle(query, limit = 10) {
       delete navigator.__proto__.webdriver;
     });
     
-    console.log('🔍 Starting enhanced stealthy Google search...');
+    logger.debug('Starting enhanced stealthy Google search...');
     
     // Much longer delays to avoid detection
     const delayMin = 10000; // Minimum 10 seconds
     const delayMax = 20000; // Maximum 20 seconds  
     const startupDelay = Math.random() * delayMax + delayMin;
     
-    console.log(`⏳ Extended startup delay: ${Math.round(startupDelay / 1000)}s`);
-    await page.waitForTimeout(startupDelay);
+    logger.debug(`Extended startup delay: ${Math.round(startupDelay / 1000)}s`);
+    await withSpan('search.human_delay', { 'delay.reason': 'startup', 'delay.ms': Math.round(startupDelay) }, () =>
+      page.waitForTimeout(startupDelay)
+    );
     
     // Add random mouse movements to simulate human behavior
     await page.mouse.move(Math.random() * 400 + 100, Math.random() * 300 + 100);
@@ -230,24 +355,26 @@ async function searchGoogle(query, limit = 10) {
       ['https://www.google.com/', 'https://google.com/'];
     
     let navigationSuccess = false;
+    let navigationError = null;
     for (const domain of googleDomains) {
       try {
-        console.log(`🌐 Trying domain: ${domain}`);
-        await page.goto(domain, { 
+        logger.debug(`Trying domain: ${domain}`);
+        await navigate(page, domain, { 
           waitUntil: 'domcontentloaded', 
           timeout: envConfig.timeouts.navigation 
         });
         navigationSuccess = true;
-        console.log(`✅ Successfully navigated to: ${domain}`);
+        logger.debug(`Successfully navigated to: ${domain}`);
         break;
       } catch (error) {
-        console.log(`❌ Failed to navigate to ${domain}: ${error.message}`);
+        logger.warn(`Failed to navigate to ${domain}: ${error.message}`);
+        navigationError = error;
         continue;
       }
     }
     
     if (!navigationSuccess) {
-      throw new Error('Failed to navigate to any Google domain');
+      throw toProviderError(navigationError || new Error('no domains configured'), 'google', 'Failed to navigate to any Google domain');
     }
     
     // Longer random delay to mimic human behavior
@@ -256,7 +383,7 @@ async function searchGoogle(query, limit = 10) {
     // Check for blocking immediately
     const currentUrl = page.url();
     if (currentUrl.includes('/sorry/') || currentUrl.includes('captcha')) {
-      throw new Error(`Google is blocking requests immediately. Current URL: ${currentUrl}`);
+      throw new BlockedError(`Google is blocking requests immediately. Current URL: ${currentUrl}`, { provider: 'google' });
     }
     
     // Accept cookies with more patience
@@ -275,7 +402,7 @@ async function searchGoogle(query, limit = 10) {
         try {
           await page.waitForSelector(selector, { timeout: 5000 });
           await page.click(selector);
-          console.log(`✅ Accepted cookies with: ${selector}`);
+          logger.debug(`Accepted cookies with: ${selector}`);
           await page.waitForTimeout(Math.random() * 2000 + 1000);
           break;
         } catch {
@@ -283,7 +410,7 @@ async function searchGoogle(query, limit = 10) {
         }
       }
     } catch {
-      console.log('No cookies to accept or already accepted');
+      logger.debug('No cookies to accept or already accepted');
     }
     
     // Find search input with enhanced detection
@@ -302,7 +429,7 @@ async function searchGoogle(query, limit = 10) {
         await page.waitForSelector(selector, { timeout: 10000 });
         searchInput = await page.$(selector);
         if (searchInput && await searchInput.isVisible()) {
-          console.log(`✅ Found search input: ${selector}`);
+          logger.debug(`Found search input: ${selector}`);
           break;
         }
       } catch {
@@ -313,7 +440,7 @@ async function searchGoogle(query, limit = 10) {
     if (!searchInput) {
       // Take a screenshot for debugging
       await page.screenshot({ path: 'debug-no-search-input.png' });
-      throw new Error('Could not find visible Google search input field');
+      throw new ParseFailureError('Could not find visible Google search input field', { provider: 'google' });
     }
     
     // More human-like interaction
@@ -332,7 +459,7 @@ async function searchGoogle(query, limit = 10) {
     await page.waitForTimeout(Math.random() * 500 + 200);
     
     // Ultra-realistic human typing simulation
-    console.log('⌨️ Starting ultra-slow human-like typing...');
+    logger.debug('Starting ultra-slow human-like typing...');
     for (let i = 0; i < query.length; i++) {
       const char = query[i];
       
@@ -342,13 +469,13 @@ async function searchGoogle(query, limit = 10) {
       
       // Frequent longer pauses (thinking/reading)
       if (Math.random() < 0.2) {
-        console.log('🤔 Simulating thinking pause...');
+        logger.debug('Simulating thinking pause...');
         await page.waitForTimeout(Math.random() * 3000 + 2000);
       }
       
       // More frequent typos and corrections
       if (Math.random() < 0.1 && i > 0) {
-        console.log('❌ Simulating typo correction...');
+        logger.warn('Simulating typo correction...');
         await page.keyboard.press('Backspace', { delay: Math.random() * 300 + 200 });
         await page.waitForTimeout(Math.random() * 1000 + 500);
         await searchInput.type(char, { delay: Math.random() * 300 + 200 });
@@ -364,7 +491,7 @@ async function searchGoogle(query, limit = 10) {
     }
     
     // Very long pause before submitting (review time)
-    console.log('📝 Simulating long query review time...');
+    logger.debug('Simulating long query review time...');
     await page.waitForTimeout(Math.random() * 8000 + 5000);
     
     // Submit search with Enter (most natural)
@@ -378,6 +505,25 @@ async function searchGoogle(query, limit = 10) {
       await page.waitForTimeout(3000);
     }
     
+    // Without a results page URL there is nowhere to request a later page; the first one would be mistaken for it
+    if (urlParams.start && !page.url().includes('/search?')) {
+      throw new ParseFailureError(`Could not request results from position ${urlParams.start}: no results page URL`, { provider: 'google' });
+    }
+
+    // Apply filters (language, region, safe search, date) and the start position to the results page
+    if (Object.keys(urlParams).length > 0 && page.url().includes('/search?')) {
+      const filteredUrl = new URL(page.url());
+      for (const [name, value] of Object.entries(urlParams)) {
+        filteredUrl.searchParams.set(name, value);
+      }
+      logger.info(`Applying search filters: ${new URLSearchParams(urlParams)}`);
+      await page.waitForTimeout(Math.random() * 2000 + 1000);
+      await navigate(page, filteredUrl.href, {
+        waitUntil: 'domcontentloaded',
+        timeout: envConfig.timeouts.navigation
+      });
+    }
+    
     // Enhanced blocking detection
     const searchUrl = page.url();
     const pageTitle = await page.title().catch(() => '');
@@ -388,7 +534,7 @@ async function searchGoogle(query, limit = 10) {
         pageTitle.toLowerCase().includes('captcha') ||
         pageContent.toLowerCase().includes('our systems have detected unusual traffic')) {
       await page.screenshot({ path: 'debug-blocking-detected.png' });
-      throw new Error(`Google is blocking search results. URL: ${searchUrl}`);
+      throw new BlockedError(`Google is blocking search results. URL: ${searchUrl}`, { provider: 'google' });
     }
     
     // Wait for results with enhanced patience
@@ -409,7 +555,7 @@ async function searchGoogle(query, limit = 10) {
           await page.waitForSelector(selector, { timeout: waitTime });
           const elements = await page.$$(selector);
           if (elements.length > 0) {
-            console.log(`✅ Found ${elements.length} results with: ${selector}`);
+            logger.debug(`Found ${elements.length} results with: ${selector}`);
             resultsFound = true;
             break;
           }
@@ -422,7 +568,7 @@ async function searchGoogle(query, limit = 10) {
       
       // Increase wait time for next attempt
       waitTime += 5000;
-      console.log(`⏳ Attempt ${attempt + 1} failed, trying again with ${waitTime}ms timeout...`);
+      logger.debug(`Attempt ${attempt + 1} failed, trying again with ${waitTime}ms timeout...`);
       await page.waitForTimeout(2000);
     }
     
@@ -435,10 +581,10 @@ async function searchGoogle(query, limit = 10) {
       
       if (finalUrl.includes('/sorry/') || finalUrl.includes('captcha') || 
           pageTitle.toLowerCase().includes('captcha')) {
-        throw new Error(`Google is blocking requests. Please try again later. URL: ${finalUrl}`);
+        throw new BlockedError(`Google is blocking requests. Please try again later. URL: ${finalUrl}`, { provider: 'google' });
       }
       
-      throw new Error('Search results did not load - no result containers found after multiple attempts');
+      throw new ParseFailureError('Search results did not load - no result containers found after multiple attempts', { provider: 'google' });
     }
     
     // DEBUG: Check what's actually on the page
@@ -456,7 +602,7 @@ async function searchGoogle(query, limit = 10) {
       };
     });
     
-    console.log('🔍 DEBUG: Page analysis:', JSON.stringify(pageAnalysis, null, 2));
+    logger.debug('Page analysis', { pageAnalysis });
     
     // Extract search results
     const results = await page.evaluate((maxResults) => {
@@ -551,10 +697,17 @@ async function searchGoogle(query, limit = 10) {
       return searchResults;
     }, limit);
     
-    return results;
+    const serpFeatures = await readSerpFeatures(page, extractGoogleSerpFeatures, 'google');
+    
+    return { results, serpFeatures };
     
+  } catch (error) {
+    // The closed page fails with "Target closed"; report the cancellation instead
+    throwIfAborted(signal);
+    throw error;
   } finally {
-    await browser.close();
+    stopWatching();
+    await lease.release();
   }
 }
 
@@ -562,13 +715,32 @@ async function searchGoogle(query, limit = 10) {
  * Search DuckDuckGo as a fallback when Google is blocked
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
+ * @param {Object} urlParams - Results page parameters (kl, kp, df) applied after the search is submitted
+ * @param {Object} options - { signal: request cancellation }
  * @returns {Array} Array of search results
  */
-async function searchDuckDuckGo(query, limit = 10) {
-  let browser;
+async function searchDuckDuckGo(query, limit = 10, urlParams = {}, options = {}) {
+  const { results } = await searchDuckDuckGoSerp(query, limit, urlParams, options);
+  return results;
+}
+
+/**
+ * Search DuckDuckGo and extract organic results plus SERP features (instant answer, about panel, related searches)
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results to return
+ * @param {Object} urlParams - Results page parameters (kl, kp, df) applied after the search is submitted
+ * @param {Object} options - { signal: closes the page when the request is cancelled }
+ * @returns {Object} { results, serpFeatures }
+ * @throws {RequestAbortedError} When the request is cancelled
+ */
+async function searchDuckDuckGoSerp(query, limit = 10, urlParams = {}, options = {}) {
+  const { signal } = options;
+  let lease;
+  let stopWatching = () => {};
   try {
-    console.log('🦆 Using DuckDuckGo as fallback search engine...');
-    console.log(`🌍 Environment: ${railwayConfig.isRailway() ? 'Railway Production' : 'Local Development'}`);
+    throwIfAborted(signal);
+    logger.info('Using DuckDuckGo as fallback search engine...');
+    logger.debug(`Environment: ${railwayConfig.isRailway() ? 'Railway Production' : 'Local Development'}`);
     
     // Use environment-specific browser arguments for DuckDuckGo too
     const browserArgs = railwayConfig.isRailway() ? 
@@ -576,26 +748,24 @@ async function searchDuckDuckGo(query, limit = 10) {
       [
         '--no-sandbox', 
         '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--single-process'
+        '--disable-dev-shm-usage'
       ];
     
-    browser = await chromium.launch({
+    lease = await browserPool.acquire({
       headless: true,
       timeout: envConfig.timeouts.browser,
       args: browserArgs
-    });
-    
-    const context = await browser.newContext({
+    }, {
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
     });
+    stopWatching = onAbort(signal, () => lease.release());
     
-    const page = await context.newPage();
+    const page = await lease.context.newPage();
     
     // Navigate to DuckDuckGo
-    await page.goto('https://duckduckgo.com/', { 
+    await navigate(page, 'https://duckduckgo.com/', { 
       waitUntil: 'domcontentloaded', 
-      timeout: 30000 
+      timeout: envConfig.timeouts.navigation 
     });
     
     // Find search input with multiple selectors (DuckDuckGo changed their structure)
@@ -613,7 +783,7 @@ async function searchDuckDuckGo(query, limit = 10) {
         await page.waitForSelector(selector, { timeout: 5000 });
         searchInput = await page.$(selector);
         if (searchInput && await searchInput.isVisible()) {
-          console.log(`✅ Found DuckDuckGo search input: ${selector}`);
+          logger.debug(`Found DuckDuckGo search input: ${selector}`);
           break;
         }
       } catch {
@@ -622,13 +792,27 @@ async function searchDuckDuckGo(query, limit = 10) {
     }
     
     if (!searchInput) {
-      throw new Error('Could not find DuckDuckGo search input field');
+      throw new ParseFailureError('Could not find DuckDuckGo search input field', { provider: 'duckduckgo' });
     }
     
     // Type query and search
     await searchInput.fill(query);
     await page.keyboard.press('Enter');
     
+    // Apply filters (region, safe search, date) by reopening the results with them
+    if (Object.keys(urlParams).length > 0) {
+      const filteredUrl = new URL('https://duckduckgo.com/');
+      filteredUrl.searchParams.set('q', query);
+      for (const [name, value] of Object.entries(urlParams)) {
+        filteredUrl.searchParams.set(name, value);
+      }
+      logger.info(`Applying DuckDuckGo filters: ${new URLSearchParams(urlParams)}`);
+      await navigate(page, filteredUrl.href, {
+        waitUntil: 'domcontentloaded',
+        timeout: envConfig.timeouts.navigation
+      });
+    }
+    
     // Wait for results with multiple selectors
     const resultSelectors = [
       '[data-result="result"]',
@@ -644,7 +828,7 @@ async function searchDuckDuckGo(query, limit = 10) {
         await page.waitForSelector(selector, { timeout: 10000 });
         const elements = await page.$$(selector);
         if (elements.length > 0) {
-          console.log(`✅ Found ${elements.length} DuckDuckGo results with: ${selector}`);
+          logger.debug(`Found ${elements.length} DuckDuckGo results with: ${selector}`);
           resultsFound = true;
           break;
         }
@@ -654,7 +838,11 @@ async function searchDuckDuckGo(query, limit = 10) {
     }
     
     if (!resultsFound) {
-      throw new Error('DuckDuckGo search results did not load');
+      // DuckDuckGo shows a challenge instead of results when it suspects automation
+      if (await page.$('.anomaly-modal__title, #challenge-form').catch(() => null)) {
+        throw new BlockedError('DuckDuckGo is showing a bot challenge instead of results', { provider: 'duckduckgo' });
+      }
+      throw new ParseFailureError('DuckDuckGo search results did not load', { provider: 'duckduckgo' });
     }
     
     // Extract results with improved selectors
@@ -721,65 +909,144 @@ async function searchDuckDuckGo(query, limit = 10) {
       return searchResults;
     }, limit);
     
-    console.log(`✅ DuckDuckGo search completed: ${results.length} results found`);
+    const serpFeatures = await readSerpFeatures(page, extractDuckDuckGoSerpFeatures, 'duckduckgo');
+    
+    logger.info(`DuckDuckGo search completed: ${results.length} results found`);
+    return { results, serpFeatures };
+    
+  } catch (error) {
+    throwIfAborted(signal);
+    logger.error('DuckDuckGo search failed', error);
+    throw toProviderError(error, 'duckduckgo', 'DuckDuckGo search failed');
+  } finally {
+    stopWatching();
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
+/**
+ * Search DuckDuckGo images or news.
+ * The results tab loads its data from a JSON endpoint (i.js / news.js); the response is read directly
+ * instead of scraping the rendered tiles.
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results to return
+ * @param {string} vertical - 'images' or 'news'
+ * @param {Object} urlParams - Results page parameters (kl, kp, df)
+ * @param {Object} options - { signal: closes the page when the request is cancelled }
+ * @returns {Array} Raw DuckDuckGo results
+ * @throws {RequestAbortedError} When the request is cancelled
+ */
+async function searchDuckDuckGoVertical(query, limit = 10, vertical = 'images', urlParams = {}, options = {}) {
+  const { signal } = options;
+  const endpoint = vertical === 'images' ? '/i.js?' : '/news.js?';
+  let lease;
+  let stopWatching = () => {};
+  try {
+    throwIfAborted(signal);
+    logger.info(`DuckDuckGo ${vertical} search: "${query}"`);
+    
+    const browserArgs = railwayConfig.isRailway() ? 
+      envConfig.browserArgs : 
+      [
+        '--no-sandbox', 
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage'
+      ];
+    
+    lease = await browserPool.acquire({
+      headless: true,
+      timeout: envConfig.timeouts.browser,
+      args: browserArgs
+    }, {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
+    });
+    stopWatching = onAbort(signal, () => lease.release());
+    
+    const page = await lease.context.newPage();
+    
+    const searchUrl = new URL('https://duckduckgo.com/');
+    searchUrl.searchParams.set('q', query);
+    if (vertical === 'images') {
+      searchUrl.searchParams.set('iax', 'images');
+      searchUrl.searchParams.set('ia', 'images');
+    } else {
+      searchUrl.searchParams.set('iar', 'news');
+      searchUrl.searchParams.set('ia', 'news');
+    }
+    for (const [name, value] of Object.entries(urlParams)) {
+      searchUrl.searchParams.set(name, value);
+    }
+    
+    const responsePromise = page.waitForResponse(
+      response => response.url().includes(endpoint) && response.ok(),
+      { timeout: envConfig.timeouts.navigation }
+    );
+    await navigate(page, searchUrl.href, { 
+      waitUntil: 'domcontentloaded', 
+      timeout: envConfig.timeouts.navigation 
+    });
+    
+    const data = await (await responsePromise).json();
+    const results = (data.results || []).slice(0, limit);
+    
+    logger.info(`DuckDuckGo ${vertical} search completed: ${results.length} results found`);
     return results;
     
   } catch (error) {
-    console.error('❌ DuckDuckGo search failed:', error);
-    throw new Error(`DuckDuckGo search failed: ${error.message}`);
+    throwIfAborted(signal);
+    logger.error(`DuckDuckGo ${vertical} search failed`, error);
+    throw toProviderError(error, 'duckduckgo', `DuckDuckGo ${vertical} search failed`);
   } finally {
-    if (browser) {
-      await browser.close();
+    stopWatching();
+    if (lease) {
+      await lease.release();
     }
   }
 }
 
 /**
- * Railway-optimized search function with multiple fallback strategies
+ * Railway-optimized search function: Google first, DuckDuckGo when Google is blocked, times out or is unreachable.
+ * Both engines run through their provider's circuit breaker; in production DuckDuckGo goes first while
+ * Google's circuit is not closed.
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
  * @returns {Array} Array of search results
  */
 async function searchWithRailwayOptimization(query, limit = 10) {
-  const isProduction = railwayConfig.isRailway();
+  const google = searchProviders.get('google').breaker;
+  const duckduckgo = searchProviders.get('duckduckgo').breaker;
+  const runGoogle = () => google.execute(async () => {
+    try {
+      const results = await searchGoogle(query, limit);
+      return results.map(result => ({ ...result, source: 'Google' }));
+    } catch (error) {
+      throw toProviderError(error, 'google', 'Google search failed');
+    }
+  });
+  const runDuckDuckGo = () => duckduckgo.execute(() => searchDuckDuckGo(query, limit));
   
-  if (isProduction) {
-    console.log('🚂 Railway production mode - using aggressive fallback strategy');
+  if (railwayConfig.isRailway()) {
+    logger.info('Railway production mode - using aggressive fallback strategy');
     
-    // In production, try DuckDuckGo first if Google has been failing
-    const recentFailures = requestTracker.requests.filter(req => 
-      Date.now() - req < 300000 // Last 5 minutes
-    ).length;
-    
-    if (recentFailures >= 2) {
-      console.log('🔄 Recent Google failures detected, trying DuckDuckGo first');
+    if (google.getState() !== 'closed') {
+      logger.info(`Google circuit is ${google.getState()}, trying DuckDuckGo first`);
       try {
-        return await searchDuckDuckGo(query, limit);
+        return await runDuckDuckGo();
       } catch (error) {
-        console.log('🦆 DuckDuckGo failed, falling back to Google');
-        return await searchGoogle(query, limit);
+        logger.info(`DuckDuckGo failed (${error.kind}), falling back to Google`);
+        return await runGoogle();
       }
     }
   }
   
-  // Standard fallback behavior
   try {
-    const results = await searchGoogle(query, limit);
-    return results.map(result => ({ ...result, source: 'Google' }));
+    return await runGoogle();
   } catch (error) {
-    if (error.message.includes('Google is blocking') || 
-        error.message.includes('sorry') || 
-        error.message.includes('captcha') ||
-        error.message.includes('navigation') ||
-        error.message.includes('timeout')) {
-      console.log('🔄 Google issues detected, switching to DuckDuckGo...');
-      return await searchDuckDuckGo(query, limit);
-    }
-    
-    // For production, be more lenient with errors
-    if (isProduction && (error.message.includes('net::') || error.message.includes('ERR_'))) {
-      console.log('🔄 Network error in production, trying DuckDuckGo...');
-      return await searchDuckDuckGo(query, limit);
+    if (error instanceof CircuitOpenError || FAILOVER_ERROR_KINDS.includes(error.kind)) {
+      logger.info(`Google unavailable (${error.kind}), switching to DuckDuckGo...`);
+      return await runDuckDuckGo();
     }
     
     throw error;
@@ -838,9 +1105,28 @@ function detectPlatform(url) {
  * @param {string} url - URL to extract content from
  * @param {boolean} fullPage - Whether to extract complete page or just main content
  * @param {boolean} includeImages - Whether to include images in the output
+ * @param {Object} options - { signal: closes the page when the request is cancelled }
  * @returns {string} Content in markdown format
+ * @throws {RequestAbortedError} When the request is cancelled
  */
-async function extractContent(url, fullPage = false, includeImages = true) {
+async function extractContent(url, fullPage = false, includeImages = true, options = {}) {
+  const attributes = { 'url.full': url, 'extract.full_page': fullPage, 'extract.include_images': includeImages };
+  return withSpan('extract', attributes, async span => {
+    const result = await extractPageContent(url, fullPage, includeImages, options.signal);
+    span.setAttribute('extract.type', result.extractionType);
+    return result;
+  });
+}
+
+/**
+ * Implementation of extractContent(); each phase (URL policy, browser lease, navigation,
+ * DOM extraction, Markdown conversion) has its own span
+ */
+async function extractPageContent(url, fullPage, includeImages, signal) {
+  // SSRF protection: refuse private, loopback and non-http(s) targets before rendering
+  await withSpan('extract.url_policy', {}, () => urlPolicy.assertAllowed(url));
+  throwIfAborted(signal);
+  
   // Detect platform and handle special cases
   const platformInfo = detectPlatform(url);
   
@@ -866,60 +1152,47 @@ LinkedIn protects user privacy by requiring login for most profile and post cont
     };
   }
   
-  let browser;
+  // Adjust context based on platform
+  let contextOptions = {
+    viewport: { width: 1280, height: 720 },
+    locale: 'en-US'
+  };
+  
+  // Use different user agents for different platforms
+  if (platformInfo.platform === 'linkedin') {
+    // Try a search engine bot user agent for LinkedIn
+    contextOptions.userAgent = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+  } else if (platformInfo.platform === 'twitter') {
+    // Twitter-friendly user agent
+    contextOptions.userAgent = 'Mozilla/5.0 (compatible; Twitterbot/1.0)';
+  } else {
+    // General purpose user agent
+    contextOptions.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  }
+  
+  let lease;
   try {
-    console.log('🔧 Launching browser for content extraction...');
-    browser = await chromium.launch({
+    logger.debug('Leasing browser for content extraction...');
+    lease = await withSpan('browser.acquire', {}, () => browserPool.acquire({
       headless: true,
-      timeout: 30000, // 30 second timeout
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--single-process', // Important for Railway containers
-        '--memory-pressure-off',
-        '--max_old_space_size=4096'
-      ]
-    });
-    console.log('✅ Browser launched successfully');
+      timeout: envConfig.timeouts.browser,
+      args: EXTRACTION_BROWSER_ARGS
+    }, contextOptions));
+    logger.debug('Browser context leased successfully');
   } catch (error) {
-    console.error('❌ Failed to launch browser:', error);
+    logger.error('Failed to launch browser', error);
     throw new Error(`Browser launch failed: ${error.message}`);
   }
   
+  const stopWatching = onAbort(signal, () => lease.release());
   try {
-    // Adjust context based on platform
-    let contextOptions = {
-      viewport: { width: 1280, height: 720 },
-      locale: 'en-US'
-    };
-    
-    // Use different user agents for different platforms
-    if (platformInfo.platform === 'linkedin') {
-      // Try a search engine bot user agent for LinkedIn
-      contextOptions.userAgent = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
-    } else if (platformInfo.platform === 'twitter') {
-      // Twitter-friendly user agent
-      contextOptions.userAgent = 'Mozilla/5.0 (compatible; Twitterbot/1.0)';
-    } else {
-      // General purpose user agent
-      contextOptions.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    }
-    
-    const context = await browser.newContext(contextOptions);
-    const page = await context.newPage();
+    // Check redirects and subresource requests against the URL policy as well
+    await urlPolicy.protectContext(lease.context);
+    const page = await lease.context.newPage();
     
     // Set a reasonable timeout
-    await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+    const response = await navigate(page, url, { waitUntil: 'networkidle', timeout: envConfig.timeouts.navigation });
+    const responseHeaders = response ? response.headers() : {};
     
     // Check for login/authentication requirements
     const pageContent = await page.content();
@@ -1015,7 +1288,7 @@ LinkedIn serves different content to bots vs. authenticated users to protect pri
     }
     
     // Extract the content
-    const content = await page.evaluate((options) => {
+    const content = await withSpan('extract.dom', {}, () => page.evaluate((options) => {
       const { extractFullPage, shouldIncludeImages, baseUrl } = options;
       let targetElement;
       
@@ -1155,17 +1428,21 @@ LinkedIn serves different content to bots vs. authenticated users to protect pri
       extractFullPage: fullPage, 
       shouldIncludeImages: includeImages, 
       baseUrl: url 
-    });
+    }));
     
-    // Convert HTML to Markdown
-    const markdown = turndownService.turndown(content.html);
-    
-    // Clean up the markdown
-    const cleanMarkdown = markdown
-      .replace(/\n{3,}/g, '\n\n') // Remove excessive newlines
-      .replace(/^\s+|\s+$/g, '') // Trim whitespace
-      .replace(/\[!\[.*?\]\(.*?\)\]\(.*?\)/g, '') // Remove nested image links
-      .trim();
+    const cleanMarkdown = await withSpan('extract.markdown', { 'extract.html_length': content.html.length }, async span => {
+      // Convert HTML to Markdown
+      const markdown = turndownService.turndown(content.html);
+      
+      // Clean up the markdown
+      const cleaned = markdown
+        .replace(/\n{3,}/g, '\n\n') // Remove excessive newlines
+        .replace(/^\s+|\s+$/g, '') // Trim whitespace
+        .replace(/\[!\[.*?\]\(.*?\)\]\(.*?\)/g, '') // Remove nested image links
+        .trim();
+      span.setAttribute('extract.markdown_length', cleaned.length);
+      return cleaned;
+    });
     
     // Final check for empty content (fallback)
     if (cleanMarkdown.length < 50 && platformInfo.platform !== 'general') {
@@ -1204,11 +1481,20 @@ Original URL: ${url}`,
       title: content.title,
       markdown: cleanMarkdown,
       url: content.url,
-      extractionType: content.extractionType || (fullPage ? 'full-page' : 'main-content')
+      extractionType: content.extractionType || (fullPage ? 'full-page' : 'main-content'),
+      // HTTP validators of the page, used by the result cache to revalidate
+      validators: {
+        etag: responseHeaders['etag'] || null,
+        lastModified: responseHeaders['last-modified'] || null
+      }
     };
     
+  } catch (error) {
+    throwIfAborted(signal);
+    throw error;
   } finally {
-    await browser.close();
+    stopWatching();
+    await lease.release();
   }
 }
 
@@ -1266,171 +1552,238 @@ function getAlternativeSuggestions(url, platform) {
 }
 
 /**
- * Enhanced search with full anti-blocking protection
- * Integrates: Header rotation, Proxy support, Rate limiting, API fallback
+ * Fail a search that no provider served when a rate limit held a provider back: retrying once the
+ * earliest limit allows it may succeed, so the caller gets a RateLimitError instead of an empty result
+ * @param {Array} attempts - Provider attempts of the search
+ * @throws {RateLimitError} With the shortest retryAfter of the rate limited attempts
+ */
+function throwIfRateLimited(attempts) {
+  const limited = attempts.filter(attempt => attempt.errorType === 'rate_limited');
+  if (limited.length === 0) return;
+
+  const retryAfter = Math.min(...limited.map(attempt => attempt.retryAfter));
+  logger.warn(`No results and rate limited by ${limited.map(attempt => attempt.provider).join(', ')}, retry in ${retryAfter}s`);
+  throw new RateLimitError(`Search rate limit reached (${limited.map(attempt => attempt.reason).join('; ')})`, {
+    provider: limited[0].provider,
+    retryAfter
+  });
+}
+
+/**
+ * Enhanced search with full anti-blocking protection.
+ * Tries the configured search providers in order (see utils/search-providers.js); each provider is used at most once.
+ * In meta mode every provider is queried at once and the results are merged with reciprocal rank fusion.
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
- * @returns {Object} Search results with enhanced anti-blocking
+ * @param {Object} options - { providers: provider order override, vertical: web, images or news, offset: results to skip, filters, mode: fallback or meta,
+ *   signal: request cancellation, rateLimit: wait or fail, onRateLimitWait: ({ limiter, waitMs }) => void }
+ * @returns {Object} Search results with the provider attempts
+ * @throws {RateLimitError} When no provider returned results and one was held back by its rate limit in fail mode
+ * @throws {RequestAbortedError} When the request is cancelled (other failures are reported in the result)
  */
-async function searchWithEnhancedAntiBlocking(query, limit = 10) {
+async function searchWithEnhancedAntiBlocking(query, limit = 10, options = {}) {
+  const antiBlockingMeasures = {
+    headerRotation: true,
+    adaptiveRateLimit: process.env.USE_ADAPTIVE_RATE_LIMIT !== 'false',
+    proxySupport: process.env.USE_PROXY === 'true',
+    apiFallback: process.env.USE_API_FALLBACK !== 'false'
+  };
+
   try {
-    console.log(`🚀 Enhanced Anti-Blocking Search: "${query}"`);
+    logger.info(`Enhanced Anti-Blocking Search: "${query}"`);
     
     // Record search attempt
     const startTime = Date.now();
+    const offset = options.offset || 0;
+    const filters = options.filters || {};
+    const vertical = options.vertical || 'web';
+    const mode = options.mode || 'fallback';
+    const searchOptions = {
+      providers: options.providers,
+      vertical,
+      offset,
+      filters,
+      signal: options.signal,
+      rateLimit: options.rateLimit,
+      onRateLimitWait: options.onRateLimitWait
+    };
     
-    // Try enhanced scraper first (with all anti-blocking measures)
-    try {
-      const results = await enhancedScraper.searchWithFallback(query, limit);
-      
-      if (results && results.results && results.results.length > 0) {
-        const searchTime = Date.now() - startTime;
-        console.log(`✅ Enhanced search completed in ${searchTime}ms: ${results.results.length} results`);
-        
-        return {
-          query,
-          results: results.results,
-          count: results.results.length,
-          searchEngine: results.searchEngine,
-          source: results.source || 'enhanced_scraping',
-          timestamp: new Date().toISOString(),
-          searchTime: searchTime,
-          antiBlockingMeasures: {
-            headerRotation: true,
-            adaptiveRateLimit: true,
-            proxySupport: process.env.USE_PROXY === 'true',
-            apiFallback: process.env.USE_API_FALLBACK !== 'false'
-          }
-        };
+    if (mode === 'meta') {
+      const meta = await searchProviders.metaSearch(query, limit, searchOptions);
+      const metaTime = Date.now() - startTime;
+      if (meta.providers.length === 0) {
+        throwIfRateLimited(meta.attempts);
       }
-    } catch (enhancedError) {
-      console.log(`⚠️ Enhanced scraper failed: ${enhancedError.message}`);
-      rateLimiter.recordFailure('enhanced_scraper_failed');
+      logger.info(`Meta-search completed in ${metaTime}ms: ${meta.results.length} results from ${meta.providers.join(', ') || 'no providers'}`);
+      
+      return {
+        query,
+        vertical,
+        mode,
+        results: meta.results,
+        serpFeatures: meta.serpFeatures,
+        count: meta.results.length,
+        offset,
+        filters,
+        searchEngine: meta.providers.map(name => searchProviders.get(name).label).join(' + ') || 'None',
+        source: 'meta',
+        provider: meta.providers.length > 0 ? 'meta' : null,
+        providers: meta.providers,
+        attempts: meta.attempts,
+        timestamp: new Date().toISOString(),
+        searchTime: metaTime,
+        ...(meta.providers.length === 0 ? {
+          error: meta.error
+            ? `All search methods failed. Last error: ${meta.error.message}`
+            : 'No search provider returned results.'
+        } : {}),
+        antiBlockingMeasures
+      };
     }
     
-    // Fallback to Google API directly if available
-    if (process.env.USE_API_FALLBACK !== 'false') {
-      try {
-        console.log('🔄 Falling back to Google Custom Search API...');
-        const apiResults = await searchWithApiFallback(query, limit, () => {
-          throw new Error('Skipping scraper, using API directly');
-        });
-        
-        if (apiResults && apiResults.results && apiResults.results.length > 0) {
-          const searchTime = Date.now() - startTime;
-          console.log(`✅ API fallback successful: ${apiResults.results.length} results`);
-          
-          return {
-            query,
-            results: apiResults.results,
-            count: apiResults.results.length,
-            searchEngine: 'Google API',
-            source: 'api_direct',
-            timestamp: new Date().toISOString(),
-            searchTime: searchTime,
-            antiBlockingMeasures: {
-              headerRotation: false,
-              adaptiveRateLimit: false,
-              proxySupport: false,
-              apiFallback: true
-            }
-          };
-        }
-      } catch (apiError) {
-        console.log(`⚠️ API fallback failed: ${apiError.message}`);
-      }
-    }
+    const { results, serpFeatures, provider, attempts, error } = await searchProviders.search(query, limit, searchOptions);
+    const searchTime = Date.now() - startTime;
     
-    // Final fallback to original scraper methods
-    console.log('🔄 Falling back to original scraper methods...');
-    try {
-      const fallbackResults = await searchWithRailwayOptimization(query, limit);
+    if (provider) {
+      logger.info(`Search completed with ${provider.name} in ${searchTime}ms: ${results.length} results`);
       
-      if (fallbackResults && fallbackResults.results && fallbackResults.results.length > 0) {
-        const searchTime = Date.now() - startTime;
-        console.log(`✅ Original scraper fallback successful: ${fallbackResults.results.length} results`);
-        
-        return {
-          query,
-          results: fallbackResults.results,
-          count: fallbackResults.results.length,
-          searchEngine: fallbackResults.searchEngine,
-          source: 'original_scraper',
-          timestamp: new Date().toISOString(),
-          searchTime: searchTime,
-          antiBlockingMeasures: {
-            headerRotation: false,
-            adaptiveRateLimit: false,
-            proxySupport: false,
-            apiFallback: false
-          }
-        };
-      }
-    } catch (originalError) {
-      console.log(`❌ Original scraper also failed: ${originalError.message}`);
+      return {
+        query,
+        vertical,
+        mode,
+        results,
+        serpFeatures,
+        count: results.length,
+        offset,
+        filters,
+        searchEngine: provider.label,
+        source: provider.name,
+        provider: provider.name,
+        attempts,
+        timestamp: new Date().toISOString(),
+        searchTime: searchTime,
+        antiBlockingMeasures
+      };
     }
     
-    // If all methods failed, return empty results with helpful message
-    const searchTime = Date.now() - startTime;
-    console.log(`❌ All search methods failed for "${query}"`);
+    throwIfRateLimited(attempts);
+
+    // If all providers failed, return empty results with helpful message
+    logger.warn(`All search methods failed for "${query}"`);
     
     return {
       query,
+      vertical,
+      mode,
       results: [],
+      serpFeatures: [],
       count: 0,
+      offset,
+      filters,
       searchEngine: 'None',
       source: 'failed',
+      provider: null,
+      attempts,
       timestamp: new Date().toISOString(),
       searchTime: searchTime,
-      error: 'All search methods failed. This might indicate heavy blocking or connectivity issues.',
+      error: error
+        ? `All search methods failed. Last error: ${error.message}`
+        : 'All search methods failed. This might indicate heavy blocking or connectivity issues.',
       suggestions: [
         'Try again in a few minutes',
         'Use a VPN or proxy',
         'Check your internet connection',
         'Configure Google Custom Search API for better reliability'
       ],
-      antiBlockingMeasures: {
-        headerRotation: true,
-        adaptiveRateLimit: true,
-        proxySupport: process.env.USE_PROXY === 'true',
-        apiFallback: process.env.USE_API_FALLBACK !== 'false'
-      }
+      antiBlockingMeasures
     };
     
   } catch (error) {
-    console.error(`❌ Critical error in enhanced search: ${error.message}`);
+    if (error instanceof RequestAbortedError) {
+      logger.info(`Search for "${query}" cancelled: ${error.message}`);
+      throw error;
+    }
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
+
+    logger.error(`Critical error in enhanced search: ${error.message}`);
     
     return {
       query,
       results: [],
+      serpFeatures: [],
       count: 0,
       searchEngine: 'Error',
       source: 'error',
+      provider: null,
+      attempts: [],
       timestamp: new Date().toISOString(),
       error: error.message,
-      antiBlockingMeasures: {
-        headerRotation: true,
-        adaptiveRateLimit: true,
-        proxySupport: process.env.USE_PROXY === 'true',
-        apiFallback: process.env.USE_API_FALLBACK !== 'false'
-      }
+      antiBlockingMeasures
     };
   }
 }
 
+/**
+ * Check that a pooled browser can render a page: lease a context from the extraction browsers,
+ * open an internal data: URL and read back its text. No network access is involved.
+ * @param {number} timeoutMs - Time allowed for the whole check, browser launch included
+ * @returns {Object} { browserVersion }
+ * @throws {Error} When the browser cannot launch, render the page or finish in time
+ */
+async function checkBrowserRendering(timeoutMs = 15000) {
+  const probe = withSpan('health.browser', {}, async () => {
+    const lease = await browserPool.acquire({
+      headless: true,
+      timeout: timeoutMs,
+      args: EXTRACTION_BROWSER_ARGS
+    });
+    try {
+      const page = await lease.context.newPage();
+      await navigate(page, 'data:text/html,<title>probe</title><p id="probe">ready</p>', { timeout: timeoutMs });
+      const text = await page.textContent('#probe', { timeout: timeoutMs });
+      if (text !== 'ready') {
+        throw new Error(`Probe page rendered unexpected content: ${JSON.stringify(text)}`);
+      }
+      return { browserVersion: lease.browser.version() };
+    } finally {
+      await lease.release();
+    }
+  });
+  // The probe still releases its lease if it settles after the timeout
+  probe.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Browser check timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    return await Promise.race([probe, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 // Backward compatibility alias
 const searchWithFallback = searchWithRailwayOptimization;
 
 module.exports = {
   searchGoogle,
+  searchGoogleSerp,
   searchDuckDuckGo,
+  searchDuckDuckGoSerp,
+  searchDuckDuckGoVertical,
   searchWithFallback,
   searchWithRailwayOptimization,
   searchWithEnhancedAntiBlocking,
   extractContent,
+  checkBrowserRendering,
   detectPlatform,
   getAlternativeSuggestions,
   // Export enhanced modules for direct use
   enhancedScraper,
-  rateLimiter
+  rateLimiter,
+  checkGoogleRateLimit,
+  searchProviders
 }; 
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Search Filters
+ * Validates language, country, safe search, date, site and filetype filters
+ * and translates them into each provider's native parameters
+ */
+
+const SAFE_LEVELS = ['off', 'moderate', 'strict'];
+
+// DuckDuckGo regions (kl) are "<country>-<language>"; used when only a country is given
+const DUCKDUCKGO_REGION_LANGUAGES = {
+  us: 'en', uk: 'en', au: 'en', ca: 'en', ie: 'en', in: 'en', nz: 'en', za: 'en', sg: 'en', ph: 'en', my: 'en',
+  at: 'de', ch: 'de', br: 'pt', mx: 'es', ar: 'es', cl: 'es', co: 'es', pe: 'es', se: 'sv', dk: 'da',
+  cn: 'zh', tw: 'tzh', hk: 'tzh', be: 'fr', il: 'he', ua: 'uk', gr: 'el', cz: 'cs'
+};
+
+/**
+ * Parse a list given as an array or a comma-separated string
+ * @param {string|Array} value - Raw value
+ * @returns {Array} Lowercased, trimmed entries
+ */
+function parseList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Validate filters from a query string or JSON body.
+ * Single-valued filters must be strings: repeated or bracketed query parameters (lang[]=en) arrive as arrays and are rejected.
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} { filters } on success (only filters that were given), { error } on validation failure
+ */
+function parseSearchFilters(source) {
+  const filters = {};
+
+  if (source.lang) {
+    if (typeof source.lang !== 'string' || !/^[a-z]{2}(-[a-z]{2})?$/i.test(source.lang)) {
+      return { error: 'Parameter "lang" must be an ISO 639-1 language code such as "en" or "zh-TW"' };
+    }
+    const [language, variant] = source.lang.split('-');
+    filters.lang = variant ? `${language.toLowerCase()}-${variant.toUpperCase()}` : language.toLowerCase();
+  }
+
+  if (source.country) {
+    if (typeof source.country !== 'string' || !/^[a-z]{2}$/i.test(source.country)) {
+      return { error: 'Parameter "country" must be an ISO 3166-1 alpha-2 country code such as "us"' };
+    }
+    filters.country = source.country.toLowerCase();
+  }
+
+  if (source.safe) {
+    if (typeof source.safe !== 'string' || !SAFE_LEVELS.includes(source.safe)) {
+      return { error: `Parameter "safe" must be one of: ${SAFE_LEVELS.join(', ')}` };
+    }
+    filters.safe = source.safe;
+  }
+
+  if (source.dateRestrict) {
+    const match = typeof source.dateRestrict === 'string' && source.dateRestrict.match(/^([dwmy])(\d*)$/);
+    if (!match || match[2] === '0') {
+      return { error: 'Parameter "dateRestrict" must be d, w, m or y optionally followed by a count (e.g. "d7", "m6")' };
+    }
+    filters.dateRestrict = `${match[1]}${match[2] || 1}`;
+  }
+
+  for (const name of ['site', 'excludeSite']) {
+    if (source[name]) {
+      const sites = parseList(source[name]);
+      const invalid = sites.filter(site => !/^[a-z0-9.-]+\.[a-z]{2,}(\/\S*)?$/.test(site));
+      if (invalid.length > 0) {
+        return { error: `Parameter "${name}" contains invalid domains: ${invalid.join(', ')}` };
+      }
+      if (sites.length > 0) filters[name] = sites;
+    }
+  }
+
+  if (source.filetype) {
+    if (typeof source.filetype !== 'string' || !/^[a-z0-9]{1,5}$/i.test(source.filetype)) {
+      return { error: 'Parameter "filetype" must be a file extension such as "pdf"' };
+    }
+    filters.filetype = source.filetype.toLowerCase();
+  }
+
+  return { filters };
+}
+
+/**
+ * Append site and filetype operators to a query
+ * @param {string} query - Search query
+ * @param {Object} filters - Parsed filters
+ * @param {Object} options - { site, excludeSite, filetype } set to false to leave a filter out
+ * @returns {string} Query with operators
+ */
+function withOperators(query, filters, options = {}) {
+  const parts = [query];
+
+  if (filters.site && options.site !== false) {
+    const sites = filters.site.map(site => `site:${site}`);
+    parts.push(sites.length > 1 ? `(${sites.join(' OR ')})` : sites[0]);
+  }
+  if (filters.excludeSite && options.excludeSite !== false) {
+    parts.push(...filters.excludeSite.map(site => `-site:${site}`));
+  }
+  if (filters.filetype && options.filetype !== false) {
+    parts.push(`filetype:${filters.filetype}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Custom Search JSON API parameters
+ * @param {string} query - Search query
+ * @param {Object} filters - Parsed filters
+ * @returns {Object} { query, params, unsupported }
+ */
+function toCustomSearch(query, filters) {
+  const params = {};
+  const unsupported = [];
+
+  if (filters.lang) params.lr = `lang_${filters.lang}`;
+  if (filters.country) {
+    params.gl = filters.country;
+    params.cr = `country${filters.country.toUpperCase()}`;
+  }
+  if (filters.safe === 'strict') params.safe = 'active';
+  if (filters.safe === 'off') params.safe = 'off';
+  if (filters.safe === 'moderate') unsupported.push('safe=moderate (Custom Search only supports strict or off)');
+  if (filters.dateRestrict) params.dateRestrict = filters.dateRestrict;
+  if (filters.filetype) params.fileType = filters.filetype;
+
+  // A single included site maps to siteSearch; several need query operators
+  const singleSite = filters.site && filters.site.length === 1;
+  if (singleSite) {
+    params.siteSearch = filters.site[0];
+    params.siteSearchFilter = 'i';
+  }
+
+  return {
+    query: withOperators(query, filters, { site: !singleSite, filetype: false }),
+    params,
+    unsupported
+  };
+}
+
+/**
+ * Google results page URL parameters
+ * @param {string} query - Search query
+ * @param {Object} filters - Parsed filters
+ * @returns {Object} { query, params, unsupported }
+ */
+function toGoogleWeb(query, filters) {
+  const params = {};
+  const unsupported = [];
+
+  if (filters.lang) {
+    params.hl = filters.lang;
+    params.lr = `lang_${filters.lang}`;
+  }
+  if (filters.country) {
+    params.gl = filters.country;
+    params.cr = `country${filters.country.toUpperCase()}`;
+  }
+  if (filters.safe === 'strict') params.safe = 'active';
+  if (filters.safe === 'off') params.safe = 'off';
+  if (filters.safe === 'moderate') unsupported.push('safe=moderate (Google web search only supports strict or off)');
+  if (filters.dateRestrict) {
+    const unit = filters.dateRestrict[0];
+    const count = parseInt(filters.dateRestrict.slice(1));
+    params.tbs = `qdr:${unit}${count > 1 ? count : ''}`;
+  }
+
+  return { query: withOperators(query, filters), params, unsupported };
+}
+
+/**
+ * DuckDuckGo URL parameters (kl region, kp safe search, df date)
+ * @param {string} query - Search query
+ * @param {Object} filters - Parsed filters
+ * @returns {Object} { query, params, unsupported }
+ */
+function toDuckDuckGo(query, filters) {
+  const params = {};
+  const unsupported = [];
+
+  if (filters.country) {
+    const region = filters.country === 'gb' ? 'uk' : filters.country;
+    const language = filters.lang ? filters.lang.split('-')[0] : DUCKDUCKGO_REGION_LANGUAGES[region] || region;
+    params.kl = `${region}-${language}`;
+  } else if (filters.lang) {
+    unsupported.push('lang without country (DuckDuckGo regions combine country and language)');
+  }
+
+  if (filters.safe) {
+    params.kp = { strict: '1', moderate: '-1', off: '-2' }[filters.safe];
+  }
+
+  if (filters.dateRestrict) {
+    const unit = filters.dateRestrict[0];
+    if (filters.dateRestrict.slice(1) === '1') {
+      params.df = unit;
+    } else {
+      unsupported.push(`dateRestrict=${filters.dateRestrict} (DuckDuckGo only supports the past day, week, month or year)`);
+    }
+  }
+
+  return { query: withOperators(query, filters), params, unsupported };
+}
+
+module.exports = {
+  parseSearchFilters,
+  withOperators,
+  toCustomSearch,
+  toGoogleWeb,
+  toDuckDuckGo,
+  SAFE_LEVELS
+};
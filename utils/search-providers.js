@@ -0,0 +1,692 @@
+/**
+ * Search Providers
+ * Common contract for search backends (Google Custom Search API, Google scraper, DuckDuckGo scraper)
+ * and a chain that tries them in a configurable order, or queries them all at once for meta-search.
+ * Every provider has a circuit breaker, so one that keeps failing is skipped until it recovers.
+ */
+
+require('dotenv').config();
+const { googleAPI } = require('./google-api');
+const { rateLimiter } = require('./adaptive-rate-limiter');
+const { normalizeForVertical } = require('./search-results');
+const { withOperators, toCustomSearch, toGoogleWeb, toDuckDuckGo } = require('./search-filters');
+const { reciprocalRankFusion } = require('./rank-fusion');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { ProviderError, CircuitOpenError, RequestAbortedError, RateLimitError, toProviderError } = require('./errors');
+const { recordSearchAttempt } = require('./metrics');
+const { createLogger } = require('./logger');
+const { withSpan, failSpan } = require('./tracing');
+
+const logger = createLogger('search-providers');
+
+const DEFAULT_PROVIDER_ORDER = 'google-api,google,duckduckgo';
+const LATENCY_SAMPLES = 200; // Recent attempt durations kept per provider for percentiles
+
+/**
+ * Value at a percentile of sorted samples (nearest rank)
+ * @param {Array} sorted - Samples in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Sample, or null without samples
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Base class for search providers.
+ * Subclasses implement runSearch() and toResult(), and may override isAvailable(), translateFilters() and health().
+ */
+class SearchProvider {
+  /**
+   * @param {string} name - Identifier used in provider order configuration
+   * @param {string} label - Human readable engine name reported as searchEngine
+   * @param {Array} verticals - Supported verticals (web, images, news)
+   */
+  constructor(name, label, verticals = ['web']) {
+    this.name = name;
+    this.label = label;
+    this.verticals = verticals;
+    this.breaker = new CircuitBreaker(name);
+    this.latencies = []; // Durations of the last LATENCY_SAMPLES calls in ms
+    this.stats = {
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      skipped: 0,
+      cancelled: 0, // Stopped because the request was cancelled; not counted as a success or failure
+      lastError: null,
+      lastErrorType: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    };
+  }
+
+  /**
+   * Whether the provider can be used right now
+   * @returns {Object} { available, reason }
+   */
+  isAvailable() {
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Run a search through the circuit breaker and record the outcome
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - { vertical, offset, params: native parameters from translateFilters(), signal: request cancellation,
+   *   rateLimit: wait or fail, onRateLimitWait: ({ limiter, waitMs }) => void }
+   * @returns {Object} { results, serpFeatures } with results in the normalized schema of the vertical
+   * (see utils/search-results.js) and SERP features from utils/serp-features.js
+   * @throws {CircuitOpenError} When the breaker rejects the call (the provider is not called)
+   * @throws {RateLimitError} When a local rate limit holds the call back in fail mode (the breaker records no outcome)
+   * @throws {ProviderError} Typed failure (blocked, timeout, quota_exceeded, network, parse_failure or unknown)
+   * @throws {RequestAbortedError} When the request is cancelled (the breaker records no outcome)
+   */
+  async search(query, limit = 10, options = {}) {
+    const vertical = options.vertical || 'web';
+    const offset = options.offset || 0;
+    this.breaker.acquire();
+    this.stats.attempts++;
+    const startTime = Date.now();
+
+    try {
+      const output = await this.runSearch(query, limit, options);
+      const { results, serpFeatures } = Array.isArray(output) || !output ? { results: output } : output;
+      this.breaker.recordSuccess();
+      this.recordLatency(Date.now() - startTime);
+      this.stats.successes++;
+      this.stats.lastSuccessAt = new Date().toISOString();
+      // Results without a usable link are dropped; ranks follow the results that remain
+      const normalized = (results || [])
+        .map(result => normalizeForVertical(vertical, this.toResult(result, vertical), this.name, 0))
+        .filter(Boolean);
+      return {
+        results: normalized.map((result, index) => ({ ...result, rank: offset + index + 1 })),
+        serpFeatures: serpFeatures || []
+      };
+    } catch (error) {
+      if (error instanceof RequestAbortedError) {
+        this.breaker.recordCancellation();
+        this.stats.cancelled++;
+        throw error;
+      }
+      // Held back before reaching the engine, so it says nothing about the provider's health
+      if (error instanceof RateLimitError) {
+        this.breaker.recordCancellation();
+        if (!error.provider) error.provider = this.name;
+        throw error;
+      }
+
+      const failure = toProviderError(error, this.name);
+      this.breaker.recordFailure(failure);
+      this.recordLatency(Date.now() - startTime);
+      this.stats.failures++;
+      this.stats.lastError = failure.message;
+      this.stats.lastErrorType = failure.kind;
+      this.stats.lastFailureAt = new Date().toISOString();
+      throw failure;
+    }
+  }
+
+  /**
+   * Keep the duration of a call for latency percentiles
+   * @param {number} durationMs - Call duration
+   */
+  recordLatency(durationMs) {
+    this.latencies.push(durationMs);
+    if (this.latencies.length > LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  /**
+   * Success rate and latency percentiles of recent calls
+   * @returns {Object} { successRate, latencyMs: { samples, p50, p90, p95, p99, max } }
+   */
+  getPerformance() {
+    const completed = this.stats.successes + this.stats.failures;
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    return {
+      successRate: completed > 0 ? Math.round((this.stats.successes / completed) * 100) : null,
+      latencyMs: {
+        samples: sorted.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+      }
+    };
+  }
+
+  /**
+   * Provider implementation of the search, called with the same arguments as search()
+   * @returns {Array|Object} Search results, or { results, serpFeatures } for providers that read SERP features
+   */
+  async runSearch() {
+    throw new ProviderError(`Search provider "${this.name}" does not implement runSearch()`, { provider: this.name });
+  }
+
+  /**
+   * Translate search filters into this provider's query and native parameters.
+   * The default only understands site and filetype operators.
+   * @param {string} query - Search query
+   * @param {Object} filters - Filters from parseSearchFilters()
+   * @returns {Object} { query, params, unsupported } where unsupported lists filters that were ignored
+   */
+  translateFilters(query, filters) {
+    const unsupported = ['lang', 'country', 'safe', 'dateRestrict']
+      .filter(name => filters[name])
+      .map(name => `${name} (not supported by ${this.name})`);
+    return { query: withOperators(query, filters), params: {}, unsupported };
+  }
+
+  /**
+   * Pick the schema fields from a raw provider result
+   * @param {Object} raw - Result as returned by runSearch()
+   * @param {string} vertical - web, images or news
+   * @returns {Object} Fields for the vertical's normalizer (web: { title, url, snippet, displayUrl, extras })
+   */
+  toResult(raw) {
+    return {
+      title: raw.title,
+      url: raw.url || raw.link,
+      snippet: raw.snippet,
+      displayUrl: raw.displayUrl
+    };
+  }
+
+  /**
+   * Availability, circuit breaker, usage counters, success rate and latency, without making a search
+   * @returns {Object} Health report
+   */
+  async health() {
+    const { available, reason } = this.isAvailable();
+    return {
+      name: this.name,
+      engine: this.label,
+      verticals: this.verticals,
+      available,
+      reason,
+      circuitBreaker: this.breaker.getStats(),
+      ...this.stats,
+      ...this.getPerformance()
+    };
+  }
+}
+
+/**
+ * Google Custom Search JSON API. It has no news search, so news is left to DuckDuckGo.
+ */
+class GoogleApiProvider extends SearchProvider {
+  constructor(api = googleAPI) {
+    super('google-api', 'Google API', ['web', 'images']);
+    this.api = api;
+  }
+
+  isAvailable() {
+    if (process.env.USE_API_FALLBACK === 'false') {
+      return { available: false, reason: 'Disabled by USE_API_FALLBACK=false' };
+    }
+    if (!this.api.isConfigured()) {
+      return { available: false, reason: 'GOOGLE_API_KEY and GOOGLE_SEARCH_ENGINE_ID are not set' };
+    }
+    if (!this.api.isWithinLimits()) {
+      return { available: false, reason: `Daily quota used up on every key (${this.api.dailyLimit} requests); resets at midnight Pacific time` };
+    }
+    return { available: true, reason: null };
+  }
+
+  translateFilters(query, filters) {
+    return toCustomSearch(query, filters);
+  }
+
+  async runSearch(query, limit, { vertical = 'web', offset = 0, params = {}, signal } = {}) {
+    if (vertical === 'images') {
+      return this.api.searchImages(query, limit, { ...params, offset, signal });
+    }
+    return this.api.search(query, limit, { ...params, offset, signal });
+  }
+
+  toResult(raw, vertical) {
+    if (vertical === 'images') {
+      const image = raw.image || {};
+      return {
+        title: raw.title,
+        imageUrl: raw.url,
+        thumbnailUrl: image.thumbnailLink,
+        width: image.width,
+        height: image.height,
+        contextUrl: image.contextLink,
+        mimeType: raw.mime,
+        displayUrl: raw.displayLink,
+        extras: {
+          byteSize: image.byteSize,
+          thumbnailWidth: image.thumbnailWidth,
+          thumbnailHeight: image.thumbnailHeight
+        }
+      };
+    }
+
+    return {
+      title: raw.title,
+      url: raw.url,
+      snippet: raw.snippet,
+      displayUrl: raw.displayLink,
+      extras: {
+        htmlTitle: raw.htmlTitle,
+        htmlSnippet: raw.htmlSnippet,
+        formattedUrl: raw.formattedUrl,
+        pagemap: raw.pagemap && Object.keys(raw.pagemap).length > 0 ? raw.pagemap : undefined
+      }
+    };
+  }
+
+  async health() {
+    return {
+      ...(await super.health()),
+      usage: this.api.getUsageStats()
+    };
+  }
+}
+
+/**
+ * Google results page scraped with a pooled browser, paced by the adaptive rate limiter
+ */
+class GoogleScraperProvider extends SearchProvider {
+  constructor() {
+    super('google', 'Google');
+    this.useAdaptiveRateLimit = process.env.USE_ADAPTIVE_RATE_LIMIT !== 'false';
+  }
+
+  translateFilters(query, filters) {
+    return toGoogleWeb(query, filters);
+  }
+
+  /**
+   * One results page is scraped per search; an offset is passed to Google as its start parameter,
+   * so the page begins at the first requested result
+   */
+  async runSearch(query, limit, { offset = 0, params = {}, signal, rateLimit, onRateLimitWait } = {}) {
+    // Required lazily: scraper.js depends on this module
+    const { searchGoogleSerp, checkGoogleRateLimit } = require('./scraper');
+
+    // In fail mode both limits are checked before anything waits or takes a slot of the adaptive limiter
+    if (rateLimit === 'fail') {
+      checkGoogleRateLimit();
+    }
+
+    if (this.useAdaptiveRateLimit) {
+      await rateLimiter.waitForNextRequest({ signal, mode: rateLimit, onWait: onRateLimitWait });
+    }
+
+    try {
+      const pageParams = offset > 0 ? { ...params, start: offset } : params;
+      const { results, serpFeatures } = await searchGoogleSerp(query, limit, pageParams, { signal, rateLimit, onRateLimitWait });
+      rateLimiter.recordSuccess();
+      return { results: results.slice(0, limit), serpFeatures };
+    } catch (error) {
+      if (!(error instanceof RequestAbortedError) && !(error instanceof RateLimitError)) {
+        rateLimiter.recordFailure('google_scraper_failed');
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * DuckDuckGo results page scraped with a pooled browser
+ */
+class DuckDuckGoProvider extends SearchProvider {
+  constructor() {
+    super('duckduckgo', 'DuckDuckGo', ['web', 'images', 'news']);
+  }
+
+  translateFilters(query, filters) {
+    return toDuckDuckGo(query, filters);
+  }
+
+  async runSearch(query, limit, { vertical = 'web', offset = 0, params = {}, signal } = {}) {
+    const { searchDuckDuckGoSerp, searchDuckDuckGoVertical } = require('./scraper');
+    if (vertical !== 'web') {
+      const results = await searchDuckDuckGoVertical(query, offset + limit, vertical, params, { signal });
+      return results.slice(offset, offset + limit);
+    }
+
+    const { results, serpFeatures } = await searchDuckDuckGoSerp(query, offset + limit, params, { signal });
+    return { results: results.slice(offset, offset + limit), serpFeatures };
+  }
+
+  toResult(raw, vertical) {
+    if (vertical === 'images') {
+      return {
+        title: raw.title,
+        imageUrl: raw.image,
+        thumbnailUrl: raw.thumbnail,
+        width: raw.width,
+        height: raw.height,
+        contextUrl: raw.url,
+        extras: { source: raw.source }
+      };
+    }
+
+    if (vertical === 'news') {
+      return {
+        title: raw.title,
+        url: raw.url,
+        snippet: raw.excerpt,
+        publisher: raw.source,
+        published: raw.date ? new Date(raw.date * 1000).toISOString() : raw.relative_time,
+        thumbnailUrl: raw.image
+      };
+    }
+
+    return super.toResult(raw);
+  }
+}
+
+/**
+ * Tries registered providers in order until one returns results
+ */
+class SearchProviderChain {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.defaultOrder = options.order || parseProviderList(process.env.SEARCH_PROVIDER_ORDER || DEFAULT_PROVIDER_ORDER);
+    this.stats = {
+      searches: 0,
+      fallbacks: 0, // Answered by a provider other than the first in the order
+      failed: 0, // No provider returned results
+      servedBy: {}
+    };
+  }
+
+  /**
+   * Add a provider to the chain
+   * @param {SearchProvider} provider - Provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {SearchProvider|null} Provider
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Names of all registered providers
+   * @returns {Array} Provider names
+   */
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Validate a provider order
+   * @param {Array} order - Provider names
+   * @returns {Array} Unknown provider names (empty when valid)
+   */
+  findUnknown(order) {
+    return order.filter(name => !this.providers.has(name));
+  }
+
+  /**
+   * Resolve and validate a provider order (request override or the default)
+   * @param {Array} providers - Order override
+   * @returns {Array} Provider names without duplicates
+   */
+  resolveOrder(providers) {
+    const order = [...new Set(providers && providers.length > 0 ? providers : this.defaultOrder)];
+    const unknown = this.findUnknown(order);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown search providers: ${unknown.join(', ')}`);
+    }
+    return order;
+  }
+
+  /**
+   * Run one provider and describe the outcome as an attempt, recorded in the metrics and as a search.attempt span.
+   * Attempts report the provider's circuit state afterwards; failed ones carry the error type.
+   * @param {string} name - Provider name
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - { vertical, filters, offset, signal, rateLimit, onRateLimitWait }
+   * @returns {Object} { attempt, results, serpFeatures, error }
+   */
+  async attempt(name, query, limit, options) {
+    const attributes = { 'search.provider': name, 'search.vertical': options.vertical || 'web', 'search.limit': limit };
+    return withSpan('search.attempt', attributes, async span => {
+      const outcome = await this.runAttempt(name, query, limit, options);
+      const { attempt } = outcome;
+      recordSearchAttempt(attempt);
+
+      span.setAttributes({
+        'search.outcome': attempt.status,
+        'search.result_count': attempt.resultCount || 0,
+        'search.circuit': attempt.circuit
+      });
+      if (attempt.status === 'skipped') {
+        span.setAttribute('search.skip_reason', attempt.reason);
+      }
+      if (outcome.error) {
+        failSpan(span, outcome.error);
+      }
+      return outcome;
+    });
+  }
+
+  /**
+   * Implementation of attempt()
+   * @returns {Object} { attempt, results, serpFeatures, error }
+   */
+  async runAttempt(name, query, limit, options) {
+    const { filters = {}, ...searchOptions } = options;
+    const vertical = searchOptions.vertical || 'web';
+    const provider = this.providers.get(name);
+    const { available, reason } = provider.verticals.includes(vertical)
+      ? provider.isAvailable()
+      : { available: false, reason: `Does not support ${vertical} search` };
+
+    if (!available) {
+      provider.stats.skipped++;
+      logger.info(`Skipping ${name}: ${reason}`);
+      return {
+        attempt: { provider: name, status: 'skipped', reason, durationMs: 0, circuit: provider.breaker.getState() },
+        results: [],
+        serpFeatures: []
+      };
+    }
+
+    const translated = provider.translateFilters(query, filters);
+    const unsupportedFilters = translated.unsupported;
+    if (unsupportedFilters.length > 0) {
+      logger.warn(`${name} ignores filters: ${unsupportedFilters.join('; ')}`);
+    }
+
+    const startTime = Date.now();
+    try {
+      logger.info(`Trying search provider: ${name}`);
+      const { results, serpFeatures } = await provider.search(translated.query, limit, { ...searchOptions, params: translated.params });
+      const durationMs = Date.now() - startTime;
+
+      const circuit = provider.breaker.getState();
+
+      const attempt = results.length === 0
+        ? { provider: name, status: 'empty', reason: 'No results returned', durationMs, resultCount: 0, unsupportedFilters, circuit }
+        : { provider: name, status: 'success', reason: null, durationMs, resultCount: results.length, unsupportedFilters, circuit };
+      return { attempt, results, serpFeatures };
+    } catch (error) {
+      // A cancelled search ends the whole chain instead of falling back to the next provider
+      if (error instanceof RequestAbortedError) {
+        throw error;
+      }
+
+      const circuit = provider.breaker.getState();
+
+      if (error instanceof CircuitOpenError) {
+        provider.stats.skipped++;
+        logger.info(`Skipping ${name}: ${error.message}`);
+        return {
+          attempt: { provider: name, status: 'skipped', reason: error.message, errorType: error.kind, durationMs: 0, circuit },
+          results: [],
+          serpFeatures: []
+        };
+      }
+
+      if (error instanceof RateLimitError) {
+        provider.stats.skipped++;
+        logger.info(`Skipping ${name}: ${error.message}`);
+        return {
+          attempt: {
+            provider: name,
+            status: 'skipped',
+            reason: error.message,
+            errorType: error.kind,
+            retryAfter: error.retryAfter,
+            durationMs: Date.now() - startTime,
+            circuit
+          },
+          results: [],
+          serpFeatures: []
+        };
+      }
+
+      logger.warn(`Search provider ${name} failed (${error.kind}): ${error.message}`);
+      return {
+        attempt: {
+          provider: name,
+          status: 'failed',
+          reason: error.message,
+          errorType: error.kind,
+          durationMs: Date.now() - startTime,
+          unsupportedFilters,
+          circuit
+        },
+        results: [],
+        serpFeatures: [],
+        error
+      };
+    }
+  }
+
+  /**
+   * Search with each provider in turn, skipping unavailable ones.
+   * Every provider is tried at most once per call.
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - { providers: order override, vertical, filters, offset, signal: request cancellation,
+   *   rateLimit: wait or fail, onRateLimitWait }
+   * @returns {Object} { results, serpFeatures, provider, attempts, error }
+   * @throws {RequestAbortedError} When the request is cancelled; no further provider is tried
+   */
+  async search(query, limit = 10, options = {}) {
+    const { providers, ...searchOptions } = options;
+    const attempts = [];
+    let lastError = null;
+    this.stats.searches++;
+
+    for (const name of this.resolveOrder(providers)) {
+      const { attempt, results, serpFeatures, error } = await this.attempt(name, query, limit, searchOptions);
+      attempts.push(attempt);
+
+      if (attempt.status === 'success') {
+        this.stats.servedBy[name] = (this.stats.servedBy[name] || 0) + 1;
+        if (attempts.length > 1) this.stats.fallbacks++;
+        return { results, serpFeatures, provider: this.providers.get(name), attempts, error: null };
+      }
+      if (error) {
+        lastError = error;
+      }
+    }
+
+    this.stats.failed++;
+    return { results: [], serpFeatures: [], provider: null, attempts, error: lastError };
+  }
+
+  /**
+   * Query every available provider at once and merge their results with reciprocal rank fusion.
+   * Each provider is asked for its first offset + limit results so the fused ranking can be paged.
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - { providers: provider set override, vertical, filters, offset, signal: request cancellation,
+   *   rateLimit: wait or fail, onRateLimitWait }
+   * @returns {Object} { results, serpFeatures, providers: names that returned results, attempts, error }
+   */
+  async metaSearch(query, limit = 10, options = {}) {
+    const { providers, offset = 0, ...searchOptions } = options;
+    const order = this.resolveOrder(providers);
+
+    const outcomes = await Promise.all(
+      order.map(name => this.attempt(name, query, offset + limit, { ...searchOptions, offset: 0 }))
+    );
+
+    const contributing = outcomes.filter(outcome => outcome.attempt.status === 'success');
+    const fused = reciprocalRankFusion(
+      contributing.map(outcome => ({ engine: outcome.attempt.provider, results: outcome.results }))
+    );
+    const failed = outcomes.filter(outcome => outcome.error);
+
+    return {
+      results: fused.slice(offset, offset + limit).map((result, index) => ({ ...result, rank: offset + index + 1 })),
+      serpFeatures: contributing.flatMap(outcome => outcome.serpFeatures),
+      providers: contributing.map(outcome => outcome.attempt.provider),
+      attempts: outcomes.map(outcome => outcome.attempt),
+      error: contributing.length === 0 && failed.length > 0 ? failed[failed.length - 1].error : null
+    };
+  }
+
+  /**
+   * Health report of every registered provider
+   * @returns {Object} { order, providers }
+   */
+  async health() {
+    const providers = await Promise.all(Array.from(this.providers.values()).map(provider => provider.health()));
+    return { order: this.defaultOrder, providers };
+  }
+
+  /**
+   * Fallback counters of the chain plus every provider's health report
+   * @returns {Object} { order, searches, fallbacks, failed, servedBy, providers }
+   */
+  async getStats() {
+    const { order, providers } = await this.health();
+    return { order, ...this.stats, servedBy: { ...this.stats.servedBy }, providers };
+  }
+}
+
+/**
+ * Parse a provider list from a comma-separated string or an array
+ * @param {string|Array} value - Raw value
+ * @returns {Array} Provider names
+ */
+function parseProviderList(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+}
+
+// Singleton chain with the built-in providers
+const searchProviders = new SearchProviderChain();
+searchProviders.register(new GoogleApiProvider());
+searchProviders.register(new GoogleScraperProvider());
+searchProviders.register(new DuckDuckGoProvider());
+
+const unknownDefaults = searchProviders.findUnknown(searchProviders.defaultOrder);
+if (unknownDefaults.length > 0) {
+  throw new Error(`SEARCH_PROVIDER_ORDER contains unknown providers: ${unknownDefaults.join(', ')}`);
+}
+
+module.exports = {
+  SearchProvider,
+  GoogleApiProvider,
+  GoogleScraperProvider,
+  DuckDuckGoProvider,
+  SearchProviderChain,
+  searchProviders,
+  parseProviderList,
+  DEFAULT_PROVIDER_ORDER
+};
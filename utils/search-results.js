@@ -0,0 +1,230 @@
+/**
+ * Search Result Schema
+ * Maps results from every search provider into one stable shape per vertical:
+ * web { title, url, normalizedUrl, displayUrl, snippet, rank, engine, extras },
+ * images { title, imageUrl, thumbnailUrl, width, height, contextUrl, ... } and news { title, url, publisher, publishedAt, ... }
+ */
+
+const SEARCH_VERTICALS = ['web', 'images', 'news'];
+
+// Query parameters that only track the click and never change the page
+const TRACKING_PARAMS = [/^utm_/, /^gclid$/, /^fbclid$/, /^msclkid$/, /^mc_(cid|eid)$/, /^ref_src$/];
+
+// Pages relative result links are resolved against, per provider. API providers return absolute URLs.
+const ENGINE_BASE_URLS = {
+  google: 'https://www.google.com',
+  duckduckgo: 'https://duckduckgo.com'
+};
+
+/**
+ * Unwrap search engine redirect links (google.com/url?q=..., duckduckgo.com/l/?uddg=...)
+ * @param {string} url - Result link
+ * @param {string} engine - Provider that produced the link; relative links are resolved against its results page
+ * @returns {string} Target URL, or an empty string when there is no link or it cannot be resolved
+ */
+function unwrapRedirect(url, engine) {
+  if (!url) return '';
+
+  try {
+    const parsed = new URL(url, ENGINE_BASE_URLS[engine]);
+    const host = parsed.hostname.replace(/^www\./, '');
+
+    if (host.startsWith('google.') && parsed.pathname === '/url') {
+      return parsed.searchParams.get('q') || parsed.searchParams.get('url') || parsed.href;
+    }
+    if (host === 'duckduckgo.com' && parsed.pathname === '/l/') {
+      return parsed.searchParams.get('uddg') || parsed.href;
+    }
+    return parsed.href;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Canonical form of a URL used to compare results across engines and pages:
+ * lowercase host without "www.", no fragment, default port, tracking parameters or trailing slash,
+ * and sorted query parameters
+ * @param {string} url - URL to normalize
+ * @returns {string} Normalized URL (the input unchanged if it cannot be parsed)
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if ((parsed.protocol === 'https:' && parsed.port === '443') || (parsed.protocol === 'http:' && parsed.port === '80')) {
+    parsed.port = '';
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Keep only extras that carry a value
+ * @param {Object} extras - Engine-specific fields
+ * @returns {Object} Extras without empty values
+ */
+function compactExtras(extras = {}) {
+  const compacted = {};
+  for (const [key, value] of Object.entries(extras)) {
+    if (value !== undefined && value !== null && value !== '') {
+      compacted[key] = value;
+    }
+  }
+  return compacted;
+}
+
+/**
+ * Hostname of a URL, or an empty string
+ * @param {string} url - URL
+ * @returns {string} Hostname
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Convert a published date (ISO, RFC 2822 or relative such as "3 hours ago") to ISO 8601
+ * @param {string} text - Date as shown by the engine
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string|null} ISO timestamp, or null if it cannot be parsed
+ */
+function parsePublishedDate(text, now = new Date()) {
+  if (!text) return null;
+
+  const relative = String(text).match(/(\d+)\s*(minute|min|hour|hr|day|week|month|year)s?\s+ago/i);
+  if (relative) {
+    const unitMs = {
+      minute: 60000, min: 60000, hour: 3600000, hr: 3600000, day: 86400000,
+      week: 604800000, month: 2592000000, year: 31536000000
+    }[relative[2].toLowerCase()];
+    return new Date(now.getTime() - parseInt(relative[1]) * unitMs).toISOString();
+  }
+
+  const timestamp = Date.parse(text);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Build a result in the normalized schema
+ * @param {Object} fields - { title, url, snippet, displayUrl, extras } from a provider
+ * @param {string} engine - Provider name (google-api, google, duckduckgo)
+ * @param {number} rank - 1-based rank within the engine's results
+ * @returns {Object|null} Normalized result, or null when it has no usable URL
+ */
+function normalizeResult(fields, engine, rank) {
+  const url = unwrapRedirect(fields.url, engine);
+  if (!url) return null;
+
+  return {
+    title: (fields.title || '').trim(),
+    url,
+    normalizedUrl: normalizeUrl(url),
+    displayUrl: fields.displayUrl || hostnameOf(url),
+    snippet: (fields.snippet || '').trim(),
+    rank,
+    engine,
+    extras: compactExtras(fields.extras)
+  };
+}
+
+/**
+ * Build an image result
+ * @param {Object} fields - { title, imageUrl, thumbnailUrl, width, height, contextUrl, mimeType, extras }
+ * @param {string} engine - Provider name
+ * @param {number} rank - 1-based rank within the engine's results
+ * @returns {Object|null} Normalized image result, or null when it has no image URL
+ */
+function normalizeImageResult(fields, engine, rank) {
+  if (!fields.imageUrl) return null;
+  const contextUrl = unwrapRedirect(fields.contextUrl, engine);
+
+  return {
+    title: (fields.title || '').trim(),
+    imageUrl: fields.imageUrl,
+    thumbnailUrl: fields.thumbnailUrl || fields.imageUrl,
+    width: parseInt(fields.width) || null,
+    height: parseInt(fields.height) || null,
+    mimeType: fields.mimeType || null,
+    contextUrl,
+    normalizedUrl: normalizeUrl(contextUrl || fields.imageUrl),
+    displayUrl: fields.displayUrl || hostnameOf(contextUrl),
+    rank,
+    engine,
+    extras: compactExtras(fields.extras)
+  };
+}
+
+/**
+ * Build a news result
+ * @param {Object} fields - { title, url, snippet, publisher, published, thumbnailUrl, extras }
+ * @param {string} engine - Provider name
+ * @param {number} rank - 1-based rank within the engine's results
+ * @returns {Object|null} Normalized news result, or null when it has no usable URL
+ */
+function normalizeNewsResult(fields, engine, rank) {
+  const url = unwrapRedirect(fields.url, engine);
+  if (!url) return null;
+
+  return {
+    title: (fields.title || '').trim(),
+    url,
+    normalizedUrl: normalizeUrl(url),
+    snippet: (fields.snippet || '').trim(),
+    publisher: (fields.publisher || '').trim() || hostnameOf(url).replace(/^www\./, ''),
+    publishedAt: parsePublishedDate(fields.published),
+    publishedText: fields.published || null,
+    thumbnailUrl: fields.thumbnailUrl || null,
+    rank,
+    engine,
+    extras: compactExtras(fields.extras)
+  };
+}
+
+const NORMALIZERS = {
+  web: normalizeResult,
+  images: normalizeImageResult,
+  news: normalizeNewsResult
+};
+
+/**
+ * Build a result in the schema of a search vertical
+ * @param {string} vertical - web, images or news
+ * @param {Object} fields - Fields picked by the provider
+ * @param {string} engine - Provider name
+ * @param {number} rank - 1-based rank
+ * @returns {Object|null} Normalized result, or null for a result without a usable URL
+ */
+function normalizeForVertical(vertical, fields, engine, rank) {
+  return NORMALIZERS[vertical](fields, engine, rank);
+}
+
+module.exports = {
+  normalizeResult,
+  normalizeImageResult,
+  normalizeNewsResult,
+  normalizeForVertical,
+  normalizeUrl,
+  unwrapRedirect,
+  parsePublishedDate,
+  SEARCH_VERTICALS
+};
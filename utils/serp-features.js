@@ -0,0 +1,216 @@
+/**
+ * SERP Features
+ * Extracts answer boxes, "People also ask" questions, knowledge panels and related searches
+ * from Google and DuckDuckGo results pages, and maps them into typed features:
+ * featured_snippet, people_also_ask, knowledge_panel and related_searches
+ */
+
+const { normalizeUrl, unwrapRedirect } = require('./search-results');
+
+const SERP_FEATURE_TYPES = ['featured_snippet', 'people_also_ask', 'knowledge_panel', 'related_searches'];
+
+/**
+ * Read SERP features from a Google results page.
+ * Runs inside the page via page.evaluate(), so it must not reference anything outside its body.
+ * @returns {Array} Raw features
+ */
+function extractGoogleSerpFeatures() {
+  const text = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+  const first = (root, selectors) => {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  const features = [];
+
+  // Featured snippet (answer box above the organic results)
+  const snippetBlock = first(document, ['.xpdopen .ifM9O', '.c2xzTb', 'block-component .kp-blk', '[data-attrid="wa:/description"]']);
+  if (snippetBlock) {
+    const link = first(snippetBlock, ['.yuRUbf a[href]', 'a[href]:has(h3)', 'a[href]']);
+    const items = Array.from(snippetBlock.querySelectorAll('ol li, ul li')).map(text).filter(Boolean);
+    features.push({
+      type: 'featured_snippet',
+      title: text(first(snippetBlock, ['h3', '.LC20lb'])),
+      url: link ? link.href : '',
+      snippet: text(first(snippetBlock, ['.hgKElc', '[data-attrid="wa:/description"]', '.LGOjhe', '.wDYxhc'])),
+      listItems: items
+    });
+  }
+
+  // People also ask
+  const questions = Array.from(document.querySelectorAll('.related-question-pair, [jsname="yEVEwb"]')).map(pair => {
+    const link = pair.querySelector('.yuRUbf a[href], a[href]:has(h3)');
+    return {
+      question: pair.getAttribute('data-q') || text(first(pair, ['[role="button"] span', '.JlqpRe', '.CSkcDe'])),
+      // Answers are only in the page once a question has been expanded
+      answer: text(first(pair, ['.hgKElc', '.wDYxhc'])),
+      url: link ? link.href : ''
+    };
+  });
+  if (questions.length > 0) {
+    features.push({ type: 'people_also_ask', questions });
+  }
+
+  // Knowledge panel
+  const panel = first(document, ['#rhs .kp-wholepage', '.kp-wholepage', '#rhs .knowledge-panel', '#rhs [data-attrid="title"]']);
+  if (panel) {
+    const root = panel.closest('#rhs') || panel;
+    const source = first(root, ['.kno-rdesc a[href]', '.ruhjFe']);
+    const attributes = {};
+    for (const row of root.querySelectorAll('.wp-ms .rVusze, [data-attrid^="kc:/"], [data-attrid^="ss:/"]')) {
+      const label = text(row.querySelector('.w8qArf')).replace(/:\s*$/, '');
+      const value = text(row.querySelector('.LrzXr, .kno-fv'));
+      if (label && value) attributes[label] = value;
+    }
+    features.push({
+      type: 'knowledge_panel',
+      title: text(first(root, ['[data-attrid="title"]', '.qrShPb', 'h2'])),
+      subtitle: text(first(root, ['[data-attrid="subtitle"]', '.wwUB2c'])),
+      description: text(first(root, ['.kno-rdesc span', '[data-attrid="description"] span'])),
+      url: source && source.href ? source.href : '',
+      attributes
+    });
+  }
+
+  // Related searches at the bottom of the page
+  const related = Array.from(document.querySelectorAll('#bres a, .k8XOCe, a.ngTNl, .s75CSd a')).map(text).filter(Boolean);
+  if (related.length > 0) {
+    features.push({ type: 'related_searches', queries: related });
+  }
+
+  return features;
+}
+
+/**
+ * Read SERP features from a DuckDuckGo results page.
+ * Runs inside the page via page.evaluate(), so it must not reference anything outside its body.
+ * @returns {Array} Raw features
+ */
+function extractDuckDuckGoSerpFeatures() {
+  const text = element => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+  const first = (root, selectors) => {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  const features = [];
+
+  // Instant answer shown above the results
+  const answer = first(document, ['#zero_click_wrapper .zci__main', '.zci__main', '[data-testid="zci"]']);
+  if (answer) {
+    const link = first(answer, ['.zci__more-at a[href]', 'a[href]']);
+    features.push({
+      type: 'featured_snippet',
+      title: text(first(answer, ['.zci__heading', 'h1', 'h2'])),
+      url: link ? link.href : '',
+      snippet: text(first(answer, ['.zci__result', '.zci__body', 'p'])),
+      listItems: []
+    });
+  }
+
+  // "About" module in the sidebar
+  const about = first(document, ['.module--about', '[data-testid="about"]', '.js-about-module']);
+  if (about) {
+    const link = first(about, ['.module__link[href]', 'a.module__more-at[href]', 'a[href]']);
+    const attributes = {};
+    for (const row of about.querySelectorAll('.about-info-box__info-row')) {
+      const label = text(row.querySelector('.about-info-box__info-label')).replace(/:\s*$/, '');
+      const value = text(row.querySelector('.about-info-box__info-value'));
+      if (label && value) attributes[label] = value;
+    }
+    features.push({
+      type: 'knowledge_panel',
+      title: text(first(about, ['.module__title', 'h2'])),
+      subtitle: text(about.querySelector('.module__subtitle')),
+      description: text(first(about, ['.module__text', 'p'])),
+      url: link ? link.href : '',
+      attributes
+    });
+  }
+
+  const related = Array.from(document.querySelectorAll('[data-testid="related-searches"] a, .related-searches__item a, .related-searches a'))
+    .map(text)
+    .filter(Boolean);
+  if (related.length > 0) {
+    features.push({ type: 'related_searches', queries: related });
+  }
+
+  return features;
+}
+
+/**
+ * Clean link fields of a feature (redirects unwrapped, normalized URL added)
+ * @param {string} url - Link read from the page
+ * @param {string} engine - Provider whose results page the link is from
+ * @returns {Object} { url, normalizedUrl }
+ */
+function linkFields(url, engine) {
+  const target = unwrapRedirect(url, engine);
+  if (!target) return { url: null, normalizedUrl: null };
+  return { url: target, normalizedUrl: normalizeUrl(target) };
+}
+
+/**
+ * Map raw features into the typed schema and drop empty ones
+ * @param {Array} features - Features from extractGoogleSerpFeatures() or extractDuckDuckGoSerpFeatures()
+ * @param {string} engine - Provider name
+ * @returns {Array} Typed SERP features
+ */
+function normalizeSerpFeatures(features, engine) {
+  const normalized = [];
+
+  for (const feature of features || []) {
+    if (feature.type === 'featured_snippet' && (feature.snippet || feature.listItems.length > 0)) {
+      normalized.push({
+        type: feature.type,
+        title: feature.title,
+        ...linkFields(feature.url, engine),
+        snippet: feature.snippet,
+        listItems: feature.listItems,
+        engine
+      });
+    }
+
+    if (feature.type === 'people_also_ask') {
+      const seen = new Set();
+      const questions = feature.questions
+        .filter(entry => entry.question && !seen.has(entry.question) && seen.add(entry.question))
+        .map(entry => ({ question: entry.question, answer: entry.answer || null, ...linkFields(entry.url, engine) }));
+      if (questions.length > 0) {
+        normalized.push({ type: feature.type, questions, engine });
+      }
+    }
+
+    if (feature.type === 'knowledge_panel' && feature.title) {
+      normalized.push({
+        type: feature.type,
+        title: feature.title,
+        subtitle: feature.subtitle || null,
+        description: feature.description || null,
+        ...linkFields(feature.url, engine),
+        attributes: feature.attributes,
+        engine
+      });
+    }
+
+    if (feature.type === 'related_searches') {
+      const queries = [...new Set(feature.queries)];
+      if (queries.length > 0) {
+        normalized.push({ type: feature.type, queries, engine });
+      }
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  extractGoogleSerpFeatures,
+  extractDuckDuckGoSerpFeatures,
+  normalizeSerpFeatures,
+  SERP_FEATURE_TYPES
+};
@@ -0,0 +1,231 @@
+/**
+ * Tracing
+ * OpenTelemetry spans for requests, search provider attempts, rate-limit waits, browser launches,
+ * page navigations and extraction phases, exported over OTLP and/or to a local JSON-lines file
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { trace, context, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds } = require('@opentelemetry/core');
+const { NodeTracerProvider, BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+const { DATA_DIR } = require('./json-store');
+const { createLogger } = require('./logger');
+const { version } = require('../package.json');
+
+const logger = createLogger('tracing');
+
+const TRACE_EXPORTERS = ['otlp', 'file', 'console'];
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'google-search-server';
+
+/**
+ * Span exporter appending one JSON object per finished span to a file
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath - Output file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify(this.serialize(span))).join('\n');
+    fs.appendFile(this.filePath, `${lines}\n`, error => {
+      if (error) {
+        logger.error(`Failed to write spans to ${this.filePath}: ${error.message}`);
+      }
+      resultCallback({ code: error ? ExportResultCode.FAILED : ExportResultCode.SUCCESS, error });
+    });
+  }
+
+  /**
+   * Flat representation of a finished span
+   * @param {Object} span - ReadableSpan
+   * @returns {Object} { traceId, spanId, parentSpanId, name, kind, startTime, durationMs, status, attributes, events }
+   */
+  serialize(span) {
+    const { traceId, spanId } = span.spanContext();
+    return {
+      traceId,
+      spanId,
+      parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : null,
+      name: span.name,
+      kind: SpanKind[span.kind],
+      startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: Math.round(hrTimeToMilliseconds(span.duration) * 10) / 10,
+      status: SpanStatusCode[span.status.code],
+      ...(span.status.message ? { statusMessage: span.status.message } : {}),
+      attributes: span.attributes,
+      events: span.events.map(event => ({
+        name: event.name,
+        time: new Date(hrTimeToMilliseconds(event.time)).toISOString(),
+        attributes: event.attributes
+      }))
+    };
+  }
+
+  async shutdown() {}
+
+  async forceFlush() {}
+}
+
+/**
+ * Create the exporters named in OTEL_TRACES_EXPORTER
+ * @param {string} setting - Comma-separated list of otlp, file, console (or none)
+ * @returns {Array} Span processors
+ */
+function createSpanProcessors(setting) {
+  const names = (setting || 'none').split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none');
+
+  return names.map(name => {
+    switch (name) {
+      case 'otlp':
+        // Endpoint and headers come from OTEL_EXPORTER_OTLP_(TRACES_)ENDPOINT / _HEADERS
+        return new BatchSpanProcessor(new OTLPTraceExporter());
+      case 'file':
+        return new BatchSpanProcessor(new FileSpanExporter(process.env.TRACES_FILE || path.join(DATA_DIR, 'traces.jsonl')));
+      case 'console':
+        return new SimpleSpanProcessor(new ConsoleSpanExporter());
+      default:
+        throw new Error(`Unknown OTEL_TRACES_EXPORTER "${name}" (expected ${TRACE_EXPORTERS.join(', ')} or none)`);
+    }
+  });
+}
+
+const spanProcessors = createSpanProcessors(process.env.OTEL_TRACES_EXPORTER);
+let provider = null;
+
+// Without exporters the API's no-op tracer is used and spans cost nothing
+if (spanProcessors.length > 0) {
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: SERVICE_NAME, [ATTR_SERVICE_VERSION]: version }),
+    spanProcessors
+  });
+  provider.register();
+  logger.info(`Tracing enabled (${process.env.OTEL_TRACES_EXPORTER})`);
+}
+
+const tracer = trace.getTracer(SERVICE_NAME, version);
+
+/**
+ * Mark a span as failed
+ * @param {Object} span - Span
+ * @param {Error} error - Failure (its kind, if any, becomes error.type)
+ */
+function failSpan(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  span.setAttribute('error.type', error.kind || error.name || 'Error');
+}
+
+/**
+ * Run a function inside a new span, active for everything it calls. Errors end the span as failed and are rethrown.
+ * @param {string} name - Span name
+ * @param {Object} attributes - Span attributes
+ * @param {Function} fn - async (span) => value
+ * @param {Object} options - Span options (kind, root, links)
+ * @returns {*} Value of fn
+ */
+function withSpan(name, attributes, fn, options = {}) {
+  return tracer.startActiveSpan(name, { ...options, attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      failSpan(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Add an event to the active span, if any
+ * @param {string} name - Event name
+ * @param {Object} attributes - Event attributes
+ */
+function addSpanEvent(name, attributes) {
+  const span = trace.getActiveSpan();
+  if (span) span.addEvent(name, attributes);
+}
+
+/**
+ * Set attributes on the active span, if any
+ * @param {Object} attributes - Span attributes
+ */
+function setSpanAttributes(attributes) {
+  const span = trace.getActiveSpan();
+  if (span) span.setAttributes(attributes);
+}
+
+/**
+ * Express middleware opening a server span per request; the spans of the request's work are its children.
+ * The span is named after the matched route (e.g. GET /jobs/:id) once the response is sent,
+ * or marked aborted when the client disconnects first.
+ * @returns {Function} Express middleware
+ */
+function tracingMiddleware() {
+  return (req, res, next) => {
+    const span = tracer.startSpan(`${req.method} ${req.path}`, {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        ...(req.id ? { 'request.id': req.id } : {})
+      }
+    });
+
+    // 'finish' does not fire when the client disconnects first, so 'close' ends the span in that case
+    let ended = false;
+    const endSpan = () => {
+      if (ended) return;
+      ended = true;
+      if (req.route) {
+        const route = `${req.baseUrl}${req.route.path}`;
+        span.updateName(`${req.method} ${route}`);
+        span.setAttribute('http.route', route);
+      }
+      if (!res.writableFinished) {
+        span.setAttribute('http.request.aborted', true);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: 'Client disconnected before the response was sent' });
+      } else {
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+      }
+      span.end();
+    };
+    res.on('finish', endSpan);
+    res.on('close', endSpan);
+
+    context.with(trace.setSpan(context.active(), span), next);
+  };
+}
+
+/**
+ * Export pending spans and stop the exporters
+ */
+async function shutdownTracing() {
+  if (provider) {
+    await provider.shutdown();
+  }
+}
+
+module.exports = {
+  tracer,
+  withSpan,
+  failSpan,
+  addSpanEvent,
+  setSpanAttributes,
+  tracingMiddleware,
+  shutdownTracing,
+  FileSpanExporter,
+  TRACE_EXPORTERS
+};
@@ -0,0 +1,427 @@
+/**
+ * URL Policy (SSRF Protection)
+ * Decides which URLs the server may fetch or render: scheme allowlist, admin allow/deny lists,
+ * and blocking of private, loopback and link-local addresses after DNS resolution.
+ * Requests are made through fetch(), which connects to the addresses that were checked, so a host
+ * whose DNS answer changes between the check and the connection (DNS rebinding) cannot reach them.
+ */
+
+require('dotenv').config();
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const { UrlPolicyError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('url-policy');
+
+// Address ranges that must never be reachable from user-supplied URLs
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],        // "This" network
+  ['10.0.0.0', 8, 'ipv4'],       // Private
+  ['100.64.0.0', 10, 'ipv4'],    // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],      // Loopback
+  ['169.254.0.0', 16, 'ipv4'],   // Link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12, 'ipv4'],    // Private
+  ['192.0.0.0', 24, 'ipv4'],     // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'],   // Private
+  ['198.18.0.0', 15, 'ipv4'],    // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'],      // Multicast
+  ['240.0.0.0', 4, 'ipv4'],      // Reserved and broadcast
+  ['::', 128, 'ipv6'],           // Unspecified
+  ['::1', 128, 'ipv6'],          // Loopback
+  ['64:ff9b::', 96, 'ipv6'],     // NAT64 (embeds IPv4 addresses)
+  ['fc00::', 7, 'ipv6'],         // Unique local
+  ['fe80::', 10, 'ipv6'],        // Link-local
+  ['ff00::', 8, 'ipv6']          // Multicast
+];
+
+const DNS_CACHE_TTL = 60000; // 1 minute
+
+const ROUTED_REQUEST_TIMEOUT = 30000; // Longest wait for one browser request fetched on the page's behalf
+
+// Hop-by-hop and body encoding headers that must not be passed on when a fetched response is handed to the browser
+const UNFORWARDED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-encoding', 'content-length'];
+
+/**
+ * Parse a comma-separated environment list
+ * @param {string} value - Raw value
+ * @returns {Array} Lowercased, trimmed entries
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize an IP literal (strip brackets, unwrap IPv4-mapped IPv6)
+ * @param {string} address - IP address
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  const unbracketed = address.replace(/^\[|\]$/g, '');
+  const mapped = unbracketed.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return mapped[1];
+
+  // The URL parser serializes mapped addresses in hex form (::ffff:7f00:1)
+  const mappedHex = unbracketed.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+
+  return unbracketed;
+}
+
+class UrlPolicy {
+  constructor(options = {}) {
+    this.allowedSchemes = options.allowedSchemes || parseList(process.env.URL_POLICY_ALLOWED_SCHEMES || 'http,https');
+    this.allowHosts = options.allowHosts || parseList(process.env.URL_POLICY_ALLOW_HOSTS);
+    this.denyHosts = options.denyHosts || parseList(process.env.URL_POLICY_DENY_HOSTS);
+    this.allowlistOnly = options.allowlistOnly !== undefined ? options.allowlistOnly : process.env.URL_POLICY_ALLOWLIST_ONLY === 'true';
+    this.maxRedirects = options.maxRedirects || parseInt(process.env.URL_POLICY_MAX_REDIRECTS) || 10;
+    this.maxResponseSize = options.maxResponseSize || parseInt(process.env.URL_POLICY_MAX_RESPONSE_SIZE) || 50 * 1024 * 1024;
+    this.dnsCache = new Map();
+
+    this.blockedRanges = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      this.blockedRanges.addSubnet(address, prefix, type);
+    }
+
+    this.stats = {
+      checked: 0,
+      blocked: 0
+    };
+  }
+
+  /**
+   * Check whether a host or address matches an allow/deny list.
+   * Entries may be exact hosts, wildcard domains (*.example.com), IP addresses or CIDR ranges.
+   * @param {string} value - Hostname or IP address
+   * @param {Array} patterns - List entries
+   * @returns {boolean} True if any entry matches
+   */
+  matchesList(value, patterns) {
+    const candidate = normalizeAddress(value.toLowerCase());
+    const ipType = net.isIP(candidate);
+
+    return patterns.some(pattern => {
+      if (pattern.includes('/')) {
+        if (!ipType) return false;
+        const [range, prefix] = pattern.split('/');
+        const rangeType = net.isIP(range);
+        if (!rangeType || rangeType !== ipType) return false;
+        const list = new net.BlockList();
+        list.addSubnet(range, parseInt(prefix), rangeType === 6 ? 'ipv6' : 'ipv4');
+        return list.check(candidate, ipType === 6 ? 'ipv6' : 'ipv4');
+      }
+
+      if (pattern.startsWith('*.')) {
+        return candidate.endsWith(pattern.slice(1));
+      }
+
+      return candidate === normalizeAddress(pattern);
+    });
+  }
+
+  /**
+   * Check whether an address is in a private, loopback, link-local or reserved range
+   * @param {string} address - IP address
+   * @returns {boolean} True if blocked
+   */
+  isPrivateAddress(address) {
+    const normalized = normalizeAddress(address);
+    const type = net.isIP(normalized);
+    if (!type) return true;
+    return this.blockedRanges.check(normalized, type === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Resolve a hostname to all of its addresses (cached briefly)
+   * @param {string} hostname - Hostname
+   * @returns {Array} IP addresses
+   */
+  async resolve(hostname) {
+    if (net.isIP(normalizeAddress(hostname))) {
+      return [normalizeAddress(hostname)];
+    }
+
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.addresses;
+    }
+
+    const records = await dns.lookup(hostname, { all: true, verbatim: true });
+    const addresses = records.map(record => record.address);
+    this.dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL });
+    return addresses;
+  }
+
+  /**
+   * Evaluate a URL against the policy
+   * @param {string} url - URL to check
+   * @returns {Object} { allowed, reason, addresses } (see evaluate())
+   */
+  async check(url) {
+    this.stats.checked++;
+    const verdict = await this.evaluate(url);
+    if (!verdict.allowed) {
+      this.stats.blocked++;
+    }
+    return verdict;
+  }
+
+  /**
+   * Policy rules, in order: scheme, deny list, allow list, resolved addresses
+   * @param {string} url - URL to check
+   * @returns {Object} { allowed, reason, addresses: the checked public addresses (not set for allow-listed hosts) }
+   */
+  async evaluate(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: false, reason: 'Invalid URL' };
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '');
+    if (!this.allowedSchemes.includes(scheme)) {
+      return { allowed: false, reason: `Scheme "${scheme}" is not allowed` };
+    }
+
+    const hostname = normalizeAddress(parsed.hostname.toLowerCase());
+    if (!hostname) {
+      return { allowed: false, reason: 'URL has no host' };
+    }
+
+    if (this.matchesList(hostname, this.denyHosts)) {
+      return { allowed: false, reason: `Host "${hostname}" is on the deny list` };
+    }
+
+    if (this.matchesList(hostname, this.allowHosts)) {
+      return { allowed: true, reason: 'Host is on the allow list' };
+    }
+
+    let addresses;
+    try {
+      addresses = await this.resolve(hostname);
+    } catch (error) {
+      return { allowed: false, reason: `Could not resolve host "${hostname}": ${error.code || error.message}` };
+    }
+
+    for (const address of addresses) {
+      if (this.matchesList(address, this.denyHosts)) {
+        return { allowed: false, reason: `Address ${address} is on the deny list` };
+      }
+    }
+
+    if (addresses.every(address => this.matchesList(address, this.allowHosts))) {
+      return { allowed: true, reason: 'Address is on the allow list' };
+    }
+
+    if (this.allowlistOnly) {
+      return { allowed: false, reason: `Host "${hostname}" is not on the allow list` };
+    }
+
+    const privateAddress = addresses.find(address => this.isPrivateAddress(address));
+    if (privateAddress) {
+      return { allowed: false, reason: `Host "${hostname}" resolves to private or reserved address ${privateAddress}` };
+    }
+
+    return { allowed: true, reason: 'Public address', addresses };
+  }
+
+  /**
+   * Throw if a URL is not allowed
+   * @param {string} url - URL to check
+   * @throws {UrlPolicyError} When the URL is blocked
+   */
+  async assertAllowed(url) {
+    const { allowed, reason } = await this.check(url);
+    if (!allowed) {
+      logger.info(`URL blocked by policy: ${url} (${reason})`);
+      throw new UrlPolicyError(`URL not allowed: ${reason}`, url);
+    }
+  }
+
+  /**
+   * HTTP agent whose connections go to the checked address instead of resolving the host again.
+   * TLS still verifies the certificate against the hostname.
+   * @param {string} url - URL being requested
+   * @param {Array} addresses - Addresses the policy checked; none for allow-listed hosts, which resolve normally
+   * @returns {Object|undefined} http.Agent or https.Agent
+   */
+  pinnedAgent(url, addresses) {
+    const Agent = new URL(url).protocol === 'https:' ? https.Agent : http.Agent;
+    if (!addresses || addresses.length === 0) {
+      return new Agent();
+    }
+
+    const [address] = addresses;
+    const family = net.isIP(address);
+    return new Agent({
+      lookup: (hostname, options, callback) => {
+        if (options && options.all) {
+          callback(null, [{ address, family }]);
+        } else {
+          callback(null, address, family);
+        }
+      }
+    });
+  }
+
+  /**
+   * Fetch a URL with every hop checked by the policy and connected to the address that was checked.
+   * Redirects are followed here (up to maxRedirects), each target checked before it is requested.
+   * @param {string} url - URL to fetch
+   * @param {Object} options - node-fetch options (method, headers, body, timeout, signal);
+   *   redirect: 'manual' returns the first response instead of following its redirect
+   * @returns {Object} node-fetch Response of the last hop, with finalUrl set to its URL
+   * @throws {UrlPolicyError} When the URL or a redirect target is not allowed, or there are too many redirects
+   */
+  async fetch(url, options = {}) {
+    let currentUrl = url;
+    let method = options.method || 'GET';
+    let body = options.body;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      const { allowed, reason, addresses } = await this.check(currentUrl);
+      if (!allowed) {
+        logger.info(`${hop === 0 ? 'URL' : 'Redirect'} blocked by policy: ${currentUrl} (${reason})`);
+        throw new UrlPolicyError(`URL not allowed: ${reason}`, currentUrl);
+      }
+
+      const response = await fetch(currentUrl, {
+        ...options,
+        method,
+        body,
+        redirect: 'manual',
+        agent: this.pinnedAgent(currentUrl, addresses)
+      });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location || options.redirect === 'manual') {
+        response.finalUrl = currentUrl;
+        return response;
+      }
+
+      if (response.body && typeof response.body.destroy === 'function') {
+        response.body.destroy();
+      }
+      if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = undefined;
+      }
+      currentUrl = new URL(location, currentUrl).href;
+    }
+
+    throw new UrlPolicyError(`URL not allowed: more than ${this.maxRedirects} redirects`, url);
+  }
+
+  /**
+   * Route every request of a browser context through the policy.
+   * The browser does not connect to anything itself: each request (navigation or subresource) is made by fetch(),
+   * which connects to the checked address, and its response is handed back to the page. Redirects are handed back
+   * too, so the browser follows them with the right URL and cookies, and the next hop is routed and checked again.
+   * @param {Object} context - Playwright browser context
+   */
+  async protectContext(context) {
+    await context.route('**/*', route => this.handleRoute(route));
+
+    if (typeof context.routeWebSocket === 'function') {
+      await context.routeWebSocket(/.*/, async ws => {
+        const { allowed, reason, addresses } = await this.check(ws.url());
+        // The browser resolves WebSocket hosts itself, so only hosts whose address cannot change are connected
+        const pinned = addresses && net.isIP(normalizeAddress(new URL(ws.url()).hostname));
+        if (!allowed || (addresses && !pinned)) {
+          const why = allowed ? 'WebSocket hosts must be allow-listed or IP addresses' : reason;
+          logger.info(`WebSocket blocked by policy: ${ws.url()} (${why})`);
+          return ws.close({ code: 1008, reason: 'Blocked by URL policy' });
+        }
+        ws.connectToServer();
+      });
+    }
+  }
+
+  /**
+   * Playwright route handler
+   * @param {Object} route - Playwright route
+   */
+  async handleRoute(route) {
+    const request = route.request();
+
+    try {
+      const headers = { ...(await request.allHeaders()), 'accept-encoding': 'gzip, deflate, br' };
+      // HTTP/2 pseudo-headers and the host header are set by the connection
+      for (const name of Object.keys(headers)) {
+        if (name.startsWith(':') || name === 'host') delete headers[name];
+      }
+
+      const response = await this.fetch(request.url(), {
+        method: request.method(),
+        headers,
+        body: request.postDataBuffer() || undefined,
+        redirect: 'manual',
+        timeout: ROUTED_REQUEST_TIMEOUT,
+        size: this.maxResponseSize
+      });
+
+      const contentLength = parseInt(response.headers.get('content-length'));
+      if (contentLength > this.maxResponseSize) {
+        response.body.destroy();
+        throw new Error(`Response of ${contentLength} bytes exceeds the ${this.maxResponseSize} byte limit`);
+      }
+
+      const responseHeaders = {};
+      for (const [name, value] of Object.entries(response.headers.raw())) {
+        if (!UNFORWARDED_RESPONSE_HEADERS.includes(name)) {
+          responseHeaders[name] = value.join(name === 'set-cookie' ? '\n' : ', ');
+        }
+      }
+
+      let body;
+      try {
+        body = await response.buffer();
+      } catch (error) {
+        // node-fetch keeps downloading after the size limit is hit
+        response.body.destroy();
+        throw error;
+      }
+
+      return await route.fulfill({ status: response.status, headers: responseHeaders, body });
+    } catch (error) {
+      if (error instanceof UrlPolicyError) {
+        return await route.abort('blockedbyclient').catch(() => {});
+      }
+      logger.warn(`URL policy routing error for ${request.url()}: ${error.message}`);
+      await route.abort('failed').catch(() => {});
+    }
+  }
+
+  /**
+   * Get policy configuration and counters
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      allowedSchemes: this.allowedSchemes,
+      allowHosts: this.allowHosts.length,
+      denyHosts: this.denyHosts.length,
+      allowlistOnly: this.allowlistOnly
+    };
+  }
+}
+
+// Singleton instance
+const urlPolicy = new UrlPolicy();
+
+module.exports = {
+  UrlPolicy,
+  urlPolicy
+};
@@ -0,0 +1,162 @@
+/**
+ * Global Work Queue
+ * Limits how many browser-backed operations run at once and rejects work when the backlog is full
+ */
+
+require('dotenv').config();
+const { AsyncResource } = require('async_hooks');
+const { QueueFullError } = require('./errors');
+const { onAbort } = require('./cancellation');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('work-queue');
+
+class WorkQueue {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || parseInt(process.env.MAX_CONCURRENT_SEARCHES) || 2;
+    this.maxQueueSize = options.maxQueueSize !== undefined ? options.maxQueueSize : (parseInt(process.env.MAX_QUEUE_SIZE) || 10);
+    this.active = 0;
+    this.pending = [];
+    this.idleWaiters = [];
+    this.averageDuration = 60000; // Initial estimate until real durations are observed
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      rejected: 0,
+      cancelled: 0 // Dropped from the queue because their request was cancelled
+    };
+  }
+
+  /**
+   * Run a task when a slot is free
+   * @param {Function} task - async () => result
+   * @param {Object} options - { label, rejectWhenFull, signal: drops the task from the queue when it fires }
+   * @returns {Promise} Resolves with the task result
+   * @throws {QueueFullError} When the queue is full and rejectWhenFull is true
+   * @throws {RequestAbortedError} When the signal fires before the task starts
+   */
+  run(task, options = {}) {
+    const { label = 'task', rejectWhenFull = true, signal } = options;
+
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active >= this.maxConcurrent && rejectWhenFull && this.pending.length >= this.maxQueueSize) {
+      this.stats.rejected++;
+      const retryAfter = this.estimateWaitSeconds(this.pending.length);
+      logger.warn(`Work queue full (${this.active} active, ${this.pending.length} queued), rejecting ${label}`);
+      return Promise.reject(new QueueFullError(
+        `Server is busy: ${this.pending.length} operations are already queued. Retry in ${retryAfter}s.`,
+        retryAfter
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Bound to the caller's context, so the task logs with its request ID when another task frees the slot
+      const item = { task: AsyncResource.bind(task), label, resolve, reject };
+      item.stopWatching = onAbort(signal, () => {
+        const position = this.pending.indexOf(item);
+        if (position === -1) return;
+        this.pending.splice(position, 1);
+        this.stats.cancelled++;
+        logger.info(`Dropped ${label} from the queue: ${signal.reason.message}`);
+        reject(signal.reason);
+      });
+      this.pending.push(item);
+      if (this.active >= this.maxConcurrent) {
+        logger.info(`Queued ${label} (position ${this.pending.length}, ${this.active} active)`);
+      }
+      this.next();
+    });
+  }
+
+  /**
+   * Start pending tasks while there are free slots
+   */
+  next() {
+    while (this.active < this.maxConcurrent && this.pending.length > 0) {
+      const item = this.pending.shift();
+      this.execute(item);
+    }
+  }
+
+  /**
+   * Execute a queued task and record its duration
+   * @param {Object} item - Queue entry
+   */
+  async execute({ task, resolve, reject, stopWatching }) {
+    stopWatching();
+    this.active++;
+    const startTime = Date.now();
+
+    try {
+      resolve(await task());
+      this.stats.completed++;
+    } catch (error) {
+      reject(error);
+      this.stats.failed++;
+    } finally {
+      // Exponential moving average of task duration for Retry-After estimates
+      this.averageDuration = Math.round(this.averageDuration * 0.8 + (Date.now() - startTime) * 0.2);
+      this.active--;
+      this.next();
+      if (this.active === 0 && this.pending.length === 0) {
+        this.idleWaiters.splice(0).forEach(notify => notify());
+      }
+    }
+  }
+
+  /**
+   * Wait until every running and queued task has finished
+   * @param {number} timeoutMs - Longest wait
+   * @returns {Promise<boolean>} True if the queue emptied in time
+   */
+  drain(timeoutMs) {
+    if (this.active === 0 && this.pending.length === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), timeoutMs);
+      this.idleWaiters.push(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Estimate how long a task at the given queue position will wait
+   * @param {number} position - Number of tasks ahead in the queue
+   * @returns {number} Estimated wait in seconds
+   */
+  estimateWaitSeconds(position = this.pending.length) {
+    const rounds = Math.floor(position / this.maxConcurrent) + 1;
+    return Math.max(1, Math.ceil((rounds * this.averageDuration) / 1000));
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.pending.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueueSize: this.maxQueueSize,
+      averageDuration: this.averageDuration,
+      estimatedWait: this.estimateWaitSeconds(),
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const workQueue = new WorkQueue();
+
+module.exports = {
+  WorkQueue,
+  workQueue
+};